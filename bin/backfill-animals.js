@@ -0,0 +1,18 @@
+var Database = require('../core/mongodb');
+
+var database = new Database();
+
+database.AnimalDb.backfillStatuses()
+    .then(function () {
+        return database.AnimalDb.backfillSpeciesNames();
+    })
+    .then(function () {
+        console.log('animals backfilled');
+    })
+    .catch(function (err) {
+        console.error(err);
+        process.exitCode = 1;
+    })
+    .then(function () {
+        return database.stop();
+    });
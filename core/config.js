@@ -25,6 +25,9 @@ dotenv.config();
  * @property {String} GOOGLE_CLIENT_SECRET
  *
  * @property {String} MONGODB_URI
+ *
+ * @property {Number} TRASH_RETENTION_DAYS Days to keep removed animals in the trash. `0` keeps them indefinitely
+ * @property {Number} SPECIES_REVISION_RETENTION Number of saved copies of the species to keep as their version history. `0` keeps them all
  */
 var config = {
     DOMAIN: process.env.DOMAIN || "http://localhost:8080",
@@ -46,7 +49,10 @@ var config = {
     GOOGLE_AUTH_CALLBACK: process.env.GOOGLE_AUTH_CALLBACK || 'http://localhost:8080/auth/google/callback',
     GOOGLE_MAPS_KEY: process.env.GOOGLE_MAPS_KEY || '',
 
-    MONGODB_URI: process.env.MONGODB_URI || 'mongodb://127.0.0.1/local'
+    MONGODB_URI: process.env.MONGODB_URI || 'mongodb://127.0.0.1/local',
+
+    TRASH_RETENTION_DAYS: process.env.TRASH_RETENTION_DAYS || 30,
+    SPECIES_REVISION_RETENTION: process.env.SPECIES_REVISION_RETENTION || 100
 };
 
 
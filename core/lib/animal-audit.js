@@ -0,0 +1,75 @@
+var _ = require('lodash');
+
+/**
+ * The v1 props of the fields recording who saved an animal and when
+ * @type {Object[]}
+ */
+var auditProps = [
+    {
+        key: 'createdAt',
+        fieldLabel: 'Created',
+        valType: 'Date',
+        description: 'When the animal was first saved'
+    },
+    {
+        key: 'createdBy',
+        fieldLabel: 'Created by',
+        valType: 'String',
+        description: 'Id of the user who first saved the animal'
+    },
+    {
+        key: 'updatedAt',
+        fieldLabel: 'Last updated',
+        valType: 'Date',
+        description: 'When the animal was last saved'
+    },
+    {
+        key: 'updatedBy',
+        fieldLabel: 'Last updated by',
+        valType: 'String',
+        description: 'Id of the user who last saved the animal'
+    }
+];
+
+/**
+ * @name AnimalAudit
+ */
+module.exports = {
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getKeys: function () {
+        return _.map(auditProps, 'key');
+    },
+
+    /**
+     *
+     * @param {Object} [animalDoc] - the animal document to read the values from
+     * @returns {Object[]} - the v1 props of the audit fields
+     */
+    toProps: function (animalDoc) {
+        return _.map(auditProps, function (propData) {
+            return _.assign({
+                val: animalDoc && animalDoc[propData.key] || null
+            }, propData);
+        });
+    },
+
+    /**
+     *
+     * @param {String|null} userId - id of the user saving the animal
+     * @returns {{createdAt: Date, createdBy: String, updatedAt: Date, updatedBy: String}} - the audit fields of a save made now
+     */
+    toDocFields: function (userId) {
+        var now = new Date();
+
+        return {
+            createdAt: now,
+            createdBy: userId || null,
+            updatedAt: now,
+            updatedBy: userId || null
+        };
+    }
+};
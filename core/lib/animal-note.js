@@ -0,0 +1,79 @@
+var _ = require('lodash');
+
+var categories = ['general', 'behavior', 'call', 'adoption'];
+
+/**
+ * Who can read a note. `internal` notes are only shown to logged in staff
+ * @type {String[]}
+ */
+var visibilities = ['internal', 'public'];
+
+/**
+ * The fields of a note that can be saved
+ * @type {String[]}
+ */
+var fields = ['category', 'visibility', 'text'];
+
+/**
+ * @name AnimalNote
+ */
+module.exports = {
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getCategories: function () {
+        return categories;
+    },
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getVisibilities: function () {
+        return visibilities;
+    },
+
+    /**
+     *
+     * @param {Object} noteData
+     * @param {Object} [options]
+     * @param {Boolean} [options.isNew=true] whether to default the `category` and `visibility` of the note
+     * @returns {Object} - the saved fields of the note
+     */
+    toNoteFields: function (noteData, options) {
+        var opts = _.defaults(options, {isNew: true});
+        var noteFields = _.mapValues(_.pick(noteData, fields), function (value) {
+            return _.isNil(value) ? null : String(value).trim();
+        });
+
+        return opts.isNew ? _.defaults(noteFields, {category: categories[0], visibility: visibilities[0]}) : noteFields;
+    },
+
+    /**
+     * Checks the fields of a note
+     * @param {Object} noteData
+     * @param {Object} [options]
+     * @param {Boolean} [options.isNew=true] whether `text` is required
+     * @returns {{key: String, val: *, message: String}[]}
+     */
+    validate: function (noteData, options) {
+        var opts = _.defaults(options, {isNew: true});
+        var errors = [];
+
+        if ((opts.isNew || _.has(noteData, 'text')) && (_.isNil(noteData.text) || String(noteData.text).trim() === '')) {
+            errors.push({key: 'text', val: noteData.text, message: 'value is required'});
+        }
+
+        if (_.has(noteData, 'category') && !_.includes(categories, noteData.category)) {
+            errors.push({key: 'category', val: noteData.category, message: 'value must be one of ' + categories.join(', ')});
+        }
+
+        if (_.has(noteData, 'visibility') && !_.includes(visibilities, noteData.visibility)) {
+            errors.push({key: 'visibility', val: noteData.visibility, message: 'value must be one of ' + visibilities.join(', ')});
+        }
+
+        return errors;
+    }
+};
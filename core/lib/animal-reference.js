@@ -0,0 +1,65 @@
+var _ = require('lodash');
+
+/**
+ * Human-readable codes numbering the animals of each species per year (ie `DOG-2026-0042`)
+ * @name AnimalReference
+ */
+module.exports = {
+
+    pattern: /^\s*[A-Z0-9]+-\d{4}-\d{4,}\s*$/i,
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {Date} [date=new Date()] - when the animal was created
+     * @returns {String} - the prefix shared by the reference codes of the species for the year of the date (ie `DOG-2026`)
+     */
+    getPrefix: function (speciesName, date) {
+        var year = (date || new Date()).getUTCFullYear();
+
+        return String(speciesName).replace(/[^a-z0-9]/gi, '').toUpperCase() + '-' + year;
+    },
+
+    /**
+     *
+     * @param {String} prefix - see getPrefix
+     * @param {Number} seq
+     * @returns {String}
+     */
+    format: function (prefix, seq) {
+        return prefix + '-' + _.padStart(String(seq), 4, '0');
+    },
+
+    /**
+     *
+     * @param {*} value
+     * @returns {Boolean}
+     */
+    isReferenceCode: function (value) {
+        return _.isString(value) && this.pattern.test(value);
+    },
+
+    /**
+     *
+     * @param {String} value - a reference code in any case
+     * @returns {String} - the reference code as it is saved
+     */
+    normalize: function (value) {
+        return value.trim().toUpperCase();
+    },
+
+    /**
+     *
+     * @param {String} [referenceCode]
+     * @returns {Object} - the v1 prop of the reference code
+     */
+    toProp: function (referenceCode) {
+        return {
+            key: 'referenceCode',
+            fieldLabel: 'Reference code',
+            valType: 'String',
+            description: 'Assigned when the animal is first saved. Can be used as the petId of a query',
+            val: referenceCode || null
+        };
+    }
+};
@@ -0,0 +1,60 @@
+var _ = require('lodash');
+
+/**
+ * The relationship each relationship type is recorded as on the related animal
+ * @type {Object.<String, String>}
+ */
+var inverseTypes = {
+    'bonded-with': 'bonded-with',
+    'littermate-of': 'littermate-of',
+    'parent-of': 'child-of',
+    'child-of': 'parent-of'
+};
+
+/**
+ * @name AnimalRelationship
+ */
+module.exports = {
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getTypes: function () {
+        return _.keys(inverseTypes);
+    },
+
+    /**
+     *
+     * @param {String} type
+     * @returns {Boolean}
+     */
+    isType: function (type) {
+        return _.has(inverseTypes, type);
+    },
+
+    /**
+     *
+     * @param {String} type
+     * @returns {String} - the type of the relationship from the related animal's side (ie `child-of` for `parent-of`)
+     */
+    getInverseType: function (type) {
+        return inverseTypes[type];
+    },
+
+    /**
+     *
+     * @param {Object[]} [relationships]
+     * @returns {Object} - the v1 prop of the relationships
+     */
+    toProp: function (relationships) {
+        return {
+            key: 'relationships',
+            fieldLabel: 'Related animals',
+            valType: '[Relationship]',
+            description: 'Changed by linking and unlinking animals',
+            options: this.getTypes(),
+            val: relationships || []
+        };
+    }
+};
@@ -0,0 +1,203 @@
+var _ = require('lodash');
+
+var AnimalStatus = require('./animal-status');
+
+var dayInMs = 24 * 60 * 60 * 1000;
+
+/**
+ * Statuses of animals that have left the shelter
+ * @type {String[]}
+ */
+var outcomeStatuses = ['adopted', 'transferred'];
+
+/**
+ * The fields of each row of stats, in the order of the CSV columns
+ * @type {String[]}
+ */
+var columns = [
+    'speciesName',
+    'intakes',
+    'adoptions',
+    'population',
+    'averageLengthOfStay',
+    'medianLengthOfStay',
+    'adoptable',
+    'notAdoptable',
+    'lost',
+    'notLost'
+];
+
+/**
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isTrue(value) {
+    return value === true || /^\s*(y|yes|true)\s*$/i.test(value);
+}
+
+/**
+ *
+ * @param {Date} date
+ * @param {{from: Date, to: Date}} range
+ * @returns {Boolean}
+ */
+function isInRange(date, range) {
+    return _.isDate(date) && date >= range.from && date <= range.to;
+}
+
+/**
+ *
+ * @param {Number[]} values
+ * @returns {Number|null}
+ */
+function median(values) {
+    var sortedValues = _.sortBy(values);
+    var middle = Math.floor(sortedValues.length / 2);
+
+    if (sortedValues.length === 0) {
+        return null;
+    }
+
+    return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+/**
+ * @name AnimalStats
+ */
+module.exports = {
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getColumns: function () {
+        return columns;
+    },
+
+    /**
+     *
+     * @param {Object} [rangeData]
+     * @param {String|Date} [rangeData.from] defaults to 30 days before `to`
+     * @param {String|Date} [rangeData.to] defaults to now. A date without a time includes the whole day
+     * @returns {{from: Date, to: Date}} - invalid dates are returned as invalid `Date`s
+     */
+    toRange: function (rangeData) {
+        var range = _.defaults(_.omitBy(_.pick(rangeData, ['from', 'to']), _.isNil), {to: new Date()});
+        var to = new Date(range.to);
+
+        if (/^\s*\d{4}-\d{2}-\d{2}\s*$/.test(range.to)) {
+            to = new Date(to.getTime() + dayInMs - 1);
+        }
+
+        return {
+            from: range.from ? new Date(range.from) : new Date(to.getTime() - 30 * dayInMs),
+            to: to
+        };
+    },
+
+    /**
+     *
+     * @param {{status: String, statusHistory: Object[]}} animalData
+     * @param {Date} date
+     * @returns {String} - the status the animal had at the date
+     */
+    getStatusAt: function (animalData, date) {
+        var statusHistory = _.sortBy(animalData.statusHistory, function (entry) {
+            return new Date(entry.timestamp);
+        });
+        var lastEntry = _.findLast(statusHistory, function (entry) {
+            return new Date(entry.timestamp) <= date;
+        });
+
+        if (lastEntry) {
+            return lastEntry.to;
+        }
+
+        return (statusHistory.length > 0 ? statusHistory[0].from : animalData.status) || AnimalStatus.defaultStatus;
+    },
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {Object[]} animals - see toStats
+     * @param {{from: Date, to: Date}} range
+     * @returns {Object} - a row of stats
+     */
+    toRow: function (speciesName, animals, range) {
+        var self = this;
+        var adoptionStays = [];
+        var adoptionCount = 0;
+        var population = _.filter(animals, function (animalData) {
+            return (!animalData.intakeDate || animalData.intakeDate <= range.to) && !_.includes(outcomeStatuses, self.getStatusAt(animalData, range.to));
+        });
+        var adoptableCount = _.filter(population, function (animalData) {
+            return isTrue(animalData.adoptable);
+        }).length;
+        var lostCount = _.filter(population, function (animalData) {
+            return isTrue(animalData.lost);
+        }).length;
+
+        _.forEach(animals, function (animalData) {
+            _.forEach(animalData.statusHistory, function (entry) {
+                var adoptedAt = new Date(entry.timestamp);
+
+                if (entry.to !== 'adopted' || !isInRange(adoptedAt, range)) {
+                    return;
+                }
+
+                adoptionCount++;
+
+                if (animalData.intakeDate && animalData.intakeDate <= adoptedAt) {
+                    adoptionStays.push((adoptedAt - animalData.intakeDate) / dayInMs);
+                }
+            });
+        });
+
+        return {
+            speciesName: speciesName,
+            intakes: _.filter(animals, function (animalData) {
+                return isInRange(animalData.intakeDate, range);
+            }).length,
+            adoptions: adoptionCount,
+            population: population.length,
+            averageLengthOfStay: adoptionStays.length > 0 ? _.round(_.mean(adoptionStays), 1) : null,
+            medianLengthOfStay: adoptionStays.length > 0 ? _.round(median(adoptionStays), 1) : null,
+            adoptable: adoptableCount,
+            notAdoptable: population.length - adoptableCount,
+            lost: lostCount,
+            notLost: population.length - lostCount
+        };
+    },
+
+    /**
+     * Computes the stats of each species over a date range. Intakes are counted by `intakeDate`, adoptions by when
+     * animals moved to the `adopted` status, and lengths of stay (in days) are from the `intakeDate` of each adopted animal.
+     * The population, and its `adoptable` and `lost` counts, are of the animals in the shelter at the end of the range
+     * @param {{speciesName: String, intakeDate: Date, adoptable: *, lost: *, status: String, statusHistory: Object[]}[]} animals
+     * @param {{from: Date, to: Date}} range
+     * @returns {{from: Date, to: Date, species: Object[], total: Object}}
+     */
+    toStats: function (animals, range) {
+        var self = this;
+        var speciesAnimals = _.groupBy(animals, 'speciesName');
+
+        return {
+            from: range.from,
+            to: range.to,
+            species: _.map(_.sortBy(_.keys(speciesAnimals)), function (speciesName) {
+                return self.toRow(speciesName, speciesAnimals[speciesName], range);
+            }),
+            total: this.toRow('all', animals, range)
+        };
+    },
+
+    /**
+     *
+     * @param {{species: Object[], total: Object}} stats
+     * @returns {Object[]} - the rows of each species followed by the total
+     */
+    toRows: function (stats) {
+        return stats.species.concat(stats.total);
+    }
+};
@@ -0,0 +1,87 @@
+var _ = require('lodash');
+
+/**
+ * The adoption statuses an animal can move to from each status
+ * @type {Object.<String, String[]>}
+ */
+var transitions = {
+    'intake': ['medical-hold', 'available', 'transferred'],
+    'medical-hold': ['available', 'transferred'],
+    'available': ['medical-hold', 'adoption-pending', 'transferred'],
+    'adoption-pending': ['available', 'adopted', 'medical-hold'],
+    'adopted': ['returned'],
+    'returned': ['medical-hold', 'available', 'transferred'],
+    'transferred': ['intake']
+};
+
+/**
+ * @name AnimalStatus
+ */
+module.exports = {
+
+    defaultStatus: 'intake',
+
+    adoptableStatus: 'available',
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getStatuses: function () {
+        return _.keys(transitions);
+    },
+
+    /**
+     *
+     * @param {String} status
+     * @returns {String[]} - the statuses an animal with the given status can move to
+     */
+    getNextStatuses: function (status) {
+        return transitions[status] || [];
+    },
+
+    /**
+     *
+     * @param {String} fromStatus
+     * @param {String} toStatus
+     * @returns {Boolean}
+     */
+    canTransition: function (fromStatus, toStatus) {
+        return _.includes(this.getNextStatuses(fromStatus), toStatus);
+    },
+
+    /**
+     *
+     * @param {String} status
+     * @returns {Boolean} - the `adoptable` value of an animal with the given status
+     */
+    isAdoptable: function (status) {
+        return status === this.adoptableStatus;
+    },
+
+    /**
+     *
+     * @param {*} adoptable - the `adoptable` value of an animal saved without a status
+     * @returns {String}
+     */
+    getInitialStatus: function (adoptable) {
+        return adoptable === true || /^\s*(y|yes|true)\s*$/i.test(adoptable) ? this.adoptableStatus : this.defaultStatus;
+    },
+
+    /**
+     *
+     * @param {String} [status]
+     * @returns {Object} - the v1 prop of the status
+     */
+    toProp: function (status) {
+        return {
+            key: 'status',
+            fieldLabel: 'Adoption status',
+            valType: 'String',
+            description: 'Changed through status transitions',
+            defaultVal: this.defaultStatus,
+            options: this.getStatuses(),
+            val: status || null
+        };
+    }
+};
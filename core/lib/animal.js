@@ -82,35 +82,120 @@ Animal.prototype = {
         });
     },
 
+    /**
+     * Builds GeoJSON points from each pair of `Location` props (ie `shelterGeoLat`/`shelterGeoLon`)
+     * @returns {Object} - GeoJSON points keyed by the shared prop name prefix (ie `shelterGeo`)
+     */
+    getLocations: function () {
+        var self = this;
+
+        return _.reduce(this.getProps(), function (locations, propData) {
+            var locationName = propData.valType === 'Location' && /Lat$/.test(propData.key) ? propData.key.replace(/Lat$/, '') : null;
+            var lat = locationName ? parseFloat(propData.val) : NaN;
+            var lon = locationName ? parseFloat(self.getValue(locationName + 'Lon')) : NaN;
+
+            if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+                // GeoJSON coordinates are ordered as [longitude, latitude]
+                locations[locationName] = {
+                    type: 'Point',
+                    coordinates: [lon, lat]
+                };
+            }
+
+            return locations;
+        }, {});
+    },
+
+    /**
+     * Checks each value against the species props
+     * @param {Object} [options]
+     * @param {Boolean} [options.isNew=true] - whether missing required props are errors (updates only save the props provided)
+     * @returns {{key: String, val: *, message: String}[]} - an error for each missing required value, value that cannot be
+     * converted to the prop type, or value not found in the prop options
+     */
+    validate: function (options) {
+        var opts = _.defaults(options, {
+            isNew: true
+        });
+        var errors = [];
+        var addError = function (propName, propValue, message) {
+            errors.push({key: propName, val: propValue, message: message});
+        };
+
+        _.forEach(this.props, function (propData) {
+            var propValue = propData.val;
+            var isEmpty = propValue === undefined || propValue === null || (_.isString(propValue) && propValue.trim() === '')
+                || (_.isArray(propValue) && propValue.length === 0);
+
+            if (propData.key === 'petId' || !propData.valType) {
+                // ids are assigned on save and props without a type are not part of the species
+                return;
+            }
+
+            if (isEmpty) {
+                if (propData.required && (opts.isNew || propValue !== undefined)) {
+                    addError(propData.key, propValue === undefined ? null : propValue, 'value is required');
+                }
+                return;
+            }
+
+            if (!AnimalQuery.prototype.isValidType(propData.valType, propValue)) {
+                addError(propData.key, propValue, 'value must be a ' + propData.valType);
+                return;
+            }
+
+            if (!_.includes(['String', 'Number', 'Float'], propData.valType) || _.isEmpty(propData.options)) {
+                return;
+            }
+
+            if (!_.some(propData.options, function (option) {
+                    return String(option).toLowerCase() === String(propValue).trim().toLowerCase();
+                })) {
+                addError(propData.key, propValue, 'value must be one of the property options');
+            }
+        });
+
+        return errors;
+    },
+
     toArray: function () {
         return this.props;
     },
 
+    /**
+     *
+     * @param {String} valType
+     * @param {*} value
+     * @returns {*} - the value as it is saved for a prop of the type
+     */
+    toMongooseValue: function (valType, value) {
+        switch (valType) {
+            case 'Number':
+                return parseInt(value);
+            case 'Float':
+                return parseFloat(value);
+            case 'Boolean':
+                return _.isBoolean(value) ? value : /yes|true/i.test(value);
+            case 'Date':
+                if (_.isString(value) && !_.isNaN(Date.parse(value))) {
+                    // normalize date strings so saved dates are ordered chronologically
+                    value = new Date(value);
+                }
+                return _.isDate(value) ? value.toISOString() : value;
+            default:
+                return value;
+        }
+    },
+
     toMongooseDoc: function () {
+        var self = this;
+
         return {
             petId: this.getValue('petId'),
             speciesName: this.getSpeciesName(),
+            locations: this.getLocations(),
             props: this.getProps().map(function (propData) {
-                switch (propData.valType) {
-                    case 'Number':
-                        propData.val = parseInt(propData.val);
-                        break;
-                    case 'Float':
-                        propData.val = parseFloat(propData.val);
-                        break;
-                    case 'Boolean':
-                        if (!_.isBoolean(propData.val)) {
-                            propData.val = /yes|true/i.test(propData.val)
-                        }
-                        break;
-                    case 'Date':
-                        if (_.isDate(propData.val)) {
-                            propData.val = propData.val.toISOString();
-                        }
-                        break;
-                    default:
-                        break;
-                }
+                propData.val = self.toMongooseValue(propData.valType, propData.val);
                 return propData;
             })
         }
@@ -0,0 +1,75 @@
+var _ = require('lodash');
+
+var categories = ['vaccination', 'test', 'medication', 'procedure'];
+
+/**
+ * The fields of a medical record that can be saved
+ * @type {String[]}
+ */
+var fields = ['category', 'name', 'date', 'dueDate', 'vet', 'notes'];
+
+/**
+ * @name MedicalRecord
+ */
+module.exports = {
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getCategories: function () {
+        return categories;
+    },
+
+    /**
+     *
+     * @param {Object} recordData
+     * @returns {Object} - the saved fields of the record, with dates converted
+     */
+    toRecordFields: function (recordData) {
+        return _.reduce(_.pick(recordData, fields), function (recordFields, value, fieldName) {
+            if (_.includes(['date', 'dueDate'], fieldName)) {
+                recordFields[fieldName] = value ? new Date(value) : null;
+            } else {
+                recordFields[fieldName] = _.isNil(value) ? null : String(value).trim();
+            }
+            return recordFields;
+        }, {});
+    },
+
+    /**
+     * Checks the fields of a record
+     * @param {Object} recordData
+     * @param {Object} [options]
+     * @param {Boolean} [options.isNew=true] whether `category`, `name` and `date` are required
+     * @returns {{key: String, val: *, message: String}[]}
+     */
+    validate: function (recordData, options) {
+        var opts = _.defaults(options, {isNew: true});
+        var errors = [];
+        var isEmpty = function (value) {
+            return _.isNil(value) || String(value).trim() === '';
+        };
+        var isRequired = function (fieldName) {
+            return opts.isNew || _.has(recordData, fieldName);
+        };
+
+        _.forEach(['category', 'name', 'date'], function (fieldName) {
+            if (isRequired(fieldName) && isEmpty(recordData[fieldName])) {
+                errors.push({key: fieldName, val: recordData[fieldName], message: 'value is required'});
+            }
+        });
+
+        if (!isEmpty(recordData.category) && !_.includes(categories, recordData.category)) {
+            errors.push({key: 'category', val: recordData.category, message: 'value must be one of ' + categories.join(', ')});
+        }
+
+        _.forEach(['date', 'dueDate'], function (fieldName) {
+            if (!isEmpty(recordData[fieldName]) && _.isNaN(Date.parse(recordData[fieldName]))) {
+                errors.push({key: fieldName, val: recordData[fieldName], message: 'value must be a Date'});
+            }
+        });
+
+        return errors;
+    }
+};
@@ -1,5 +1,9 @@
 var _ = require('lodash');
 
+var AnimalAudit = require('../animal-audit');
+var AnimalReference = require('../animal-reference');
+var AnimalStatus = require('../animal-status');
+
 /**
  * @class QueryProp
  * @param {Object[]} props
@@ -10,16 +14,37 @@ var _ = require('lodash');
 function Query(props, species) {
 
     var self = this;
-    var metaPropNames = ['matchStartFor', 'matchEndFor', 'ignoreCase', 'ignoreCaseFor', 'properties'];
-    var rawQueryMetaProps = _.isArray(props) ? _.filter(props, function (propData, index) {
-        return propData && _.includes(metaPropNames, propData.key)
-    }) : _.pick(props, metaPropNames);
+    var metaPropNames = ['matchStartFor', 'matchEndFor', 'ignoreCase', 'ignoreCaseFor', 'properties', 'near', 'q', 'sortBy', 'pageSize', 'strict', 'expand'];
+    var rawQueryMetaProps = _.isArray(props) ? _.reduce(props, function (metaProps, propData) {
+        if (propData && _.includes(metaPropNames, propData.key)) {
+            metaProps[propData.key] = propData.val;
+        }
+        return metaProps;
+    }, {}) : _.pick(props, metaPropNames);
 
     this.metaPropNames = metaPropNames;
+    this.rangeOperators = ['gt', 'gte', 'lt', 'lte', 'between'];
+    this.rangePropTypes = ['Number', 'Float', 'Date'];
+    this.earthRadius = 6378.1; // in km
+    // props saved as fields of the animal document instead of within `props`
+    this.docProps = [
+        _.omit(AnimalStatus.toProp(), 'val'),
+        _.omit(AnimalReference.toProp(), 'val')
+    ].concat(_.map(AnimalAudit.toProps(), function (propData) {
+        return _.omit(propData, 'val');
+    }));
     this.species = species;
     this.props = props;
     this.queryMeta = _.reduce(rawQueryMetaProps, function (queryMetaProps, metaPropValue, metaPropName) {
-        queryMetaProps[metaPropName] = self.parseArrayStr(metaPropValue);
+        if (metaPropName === 'near') {
+            queryMetaProps[metaPropName] = self.parseNearValue(metaPropValue);
+        } else if (metaPropName === 'strict') {
+            queryMetaProps[metaPropName] = self.formatValue('Boolean', metaPropValue);
+        } else if (metaPropName === 'q') {
+            queryMetaProps[metaPropName] = metaPropValue ? metaPropValue.toString().trim() : '';
+        } else {
+            queryMetaProps[metaPropName] = _.isArray(metaPropValue) ? metaPropValue : self.parseArrayStr(metaPropValue);
+        }
         return queryMetaProps;
     }, {});
 }
@@ -27,6 +52,14 @@ function Query(props, species) {
 Query.prototype = {
 
     toObject: function () {
+        var self = this;
+
+        if (_.isArray(this.props)) {
+            return _.reject(this.props, function (propData) {
+                return propData && _.includes(self.metaPropNames, propData.key);
+            });
+        }
+
         return _.omit(this.props, this.metaPropNames);
     },
 
@@ -42,20 +75,9 @@ Query.prototype = {
                 speciesProp = _.find(self.species.getSpeciesProps(), {key: propName});
             }
 
-            switch (propType) {
-                case 'Boolean':
-                    propValue = /^\s*(y|yes|true)\s*$/i.test(propValue);
-                    break;
-                case 'Number':
-                    propValue = parseInt(propValue);
-                    break;
-                case 'Date':
-                    propValue = propValue.toISOString ? propValue.toISOString() : propValue;
-                    break;
-                case 'Float':
-                    propValue = parseFloat(propValue);
-                    break;
-            }
+            speciesProp = speciesProp || self.getDocProp(propName);
+
+            propValue = self.formatQueryValue(propType, propValue);
 
             collection[propName] = _.defaults({
                 key: propName,
@@ -71,6 +93,7 @@ Query.prototype = {
         var self = this,
             query = {},
             queryMeta = this.queryMeta,
+            excludedProps = {},
             props = _.reduce(this.toFormattedObject(), function (mongoQueryProps, propData) {
                 var propValue = propData.val,
                     propName = propData.key;
@@ -80,7 +103,9 @@ Query.prototype = {
                     case 'hashId':
                     case '_id':
                         // only use given id and quit early
-                        mongoQueryProps = {
+                        mongoQueryProps = AnimalReference.isReferenceCode(propValue) ? {
+                            referenceCode: AnimalReference.normalize(propValue)
+                        } : {
                             petId: propValue.toString()
                         };
                         break;
@@ -102,51 +127,81 @@ Query.prototype = {
                         break;
                     default:
 
-                        if (self.isPropRegex(propData)) {
-                            var prefix = '',
-                                suffix = '',
-                                regexArgs = '';
-                            if (queryMeta.matchStartFor && _.includes(queryMeta.matchStartFor, propName)) {
-                                prefix = '^';
-                            }
-                            if (queryMeta.matchEndFor && _.includes(queryMeta.matchEndFor, propName)) {
-                                suffix = '$';
-                            }
-                            if (queryMeta.ignoreCase && _.includes(queryMeta.ignoreCase, propName)
-                                || queryMeta.ignoreCaseFor && _.includes(queryMeta.ignoreCaseFor, propName)) {
-                                regexArgs = 'i';
+                        if (self.isExistsValue(propValue)) {
+                            if (propValue.exists) {
+                                mongoQueryProps[propName] = self.toMongoExists();
+                            } else {
+                                excludedProps[propName] = self.toMongoExists();
                             }
-                            if (propName == 'color' || propName == 'petName') {
-                                // ignore case for color,petName searches
-                                regexArgs = 'i';
-                            }
-                            mongoQueryProps[propName] = new RegExp(prefix + self.escapeRegExp(propValue) + suffix, regexArgs);
+                        } else if (self.isNegatedValue(propValue)) {
+                            excludedProps[propName] = self.toMongoValue(_.defaults({val: propValue.not}, propData));
                         } else {
-                            mongoQueryProps[propName] = propValue;
+                            mongoQueryProps[propName] = self.toMongoValue(propData);
                         }
                         break;
                 }
                 return mongoQueryProps;
-            }, {});
+            }, {}),
+            toElemMatchQueries = function (mongoQueryProps) {
+                return _.reduce(mongoQueryProps, function (propsCollection, propValue, propName) {
+                    propsCollection.push({
+                        $elemMatch: {
+                            key: propName,
+                            val: propValue
+                        }
+                    });
+                    return propsCollection;
+                }, []);
+            };
+
+        var docProps = _.mapValues(_.pick(props, _.map(this.docProps, 'key')), function (propValue, propName) {
+            return self.toMongoDocValue(propName, propValue);
+        });
+        var excludedDocProps = _.mapValues(_.pick(excludedProps, _.map(this.docProps, 'key')), function (propValue, propName) {
+            return self.toMongoDocValue(propName, propValue);
+        });
+
+        props = _.omit(props, _.keys(docProps));
+        excludedProps = _.omit(excludedProps, _.keys(excludedDocProps));
 
         if (props._id || props.petId) {
             query = {
                 petId: props._id || props.petId
             };
-        } else if (_.keys(props).length == 0) {
-            query = {}
         } else {
-            query = {
-                props: {
-                    $all: _.reduce(props, function (propsCollection, propValue, propName) {
-                        propsCollection.push({
-                            $elemMatch: {
-                                key: propName,
-                                val: propValue
-                            }
-                        });
-                        return propsCollection;
-                    }, [])
+            _.assign(query, docProps);
+
+            if (_.keys(props).length > 0) {
+                query.props = {
+                    $all: toElemMatchQueries(props)
+                };
+            }
+
+            if (_.keys(excludedProps).length > 0) {
+                // exclude animals with any matching prop
+                query.$nor = toElemMatchQueries(excludedProps).map(function (elemMatchQuery) {
+                    return {props: elemMatchQuery};
+                });
+            }
+
+            _.forEach(excludedDocProps, function (propValue, propName) {
+                var excludedDocProp = {};
+
+                excludedDocProp[propName] = propValue;
+                query.$nor = (query.$nor || []).concat(excludedDocProp);
+            });
+        }
+
+        if (queryMeta.q) {
+            query.$text = {
+                $search: queryMeta.q
+            };
+        }
+
+        if (queryMeta.near) {
+            query['locations.' + queryMeta.near.location] = {
+                $geoWithin: {
+                    $centerSphere: [[queryMeta.near.lon, queryMeta.near.lat], queryMeta.near.radius / this.earthRadius]
                 }
             };
         }
@@ -154,12 +209,534 @@ Query.prototype = {
         return query;
     },
 
+    /**
+     * Checks each query prop against the species props
+     * @returns {{key: String, val: *, message: String}[]} - an error for each unknown key, invalid value type, or value not found in the prop options
+     */
+    validate: function () {
+        var self = this;
+        var errors = [];
+        var addError = function (propName, propValue, message) {
+            errors.push({key: propName, val: propValue, message: message});
+        };
+
+        if (!this.species) {
+            addError('species', null, 'a valid species is required');
+            return errors;
+        }
+
+        _.forEach(this.toObject(), function (propData, propIdx) {
+            var hasMeta = propData && propData.key;
+            var propName = hasMeta ? propData.key : propIdx;
+            var propValue = hasMeta ? propData.val : propData;
+            var speciesProp = self.species.getProp(propName) || self.getDocProp(propName);
+
+            if (_.includes(['hashId', '_id'], propName)) {
+                return;
+            }
+
+            if (!speciesProp) {
+                addError(propName, propValue, 'unknown property');
+                return;
+            }
+
+            if (self.isRangeValue(propValue) && !_.includes(self.rangePropTypes, speciesProp.valType)) {
+                addError(propName, propValue, 'range operators only apply to ' + self.rangePropTypes.join(', ') + ' properties');
+                return;
+            }
+
+            _.forEach(self.getOperands(propValue), function (operand) {
+                var formattedOperand;
+
+                if (!self.isValidType(speciesProp.valType, operand)) {
+                    addError(propName, operand, 'value must be a ' + speciesProp.valType);
+                    return;
+                }
+
+                formattedOperand = self.formatValue(speciesProp.valType, operand);
+
+                if (propName === 'species' && formattedOperand === 'all') {
+                    return;
+                }
+
+                if (!_.isEmpty(speciesProp.options) && !_.some(speciesProp.options, function (option) {
+                        return String(option).toLowerCase() === String(formattedOperand).toLowerCase();
+                    })) {
+                    addError(propName, operand, 'value must be one of the property options');
+                }
+            });
+        });
+
+        _.forEach(this.getSortFields(), function (sortField) {
+            if (!(self.species.getProp(sortField.key) || self.getDocProp(sortField.key))) {
+                addError(sortField.key, null, 'unknown sortBy property');
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     *
+     * @param {*} propValue
+     * @returns {*[]} - the values being compared in a query value (ie `[3, 9]` for `{between: [3, 9]}`)
+     */
+    getOperands: function (propValue) {
+        var self = this;
+
+        if (this.isExistsValue(propValue)) {
+            return [];
+        }
+
+        if (this.isNegatedValue(propValue)) {
+            return this.getOperands(propValue.not);
+        }
+
+        if (this.isRangeValue(propValue)) {
+            return _.flatten(_.values(propValue));
+        }
+
+        if (_.isArray(propValue)) {
+            return _.flatMap(propValue, function (value) {
+                return self.getOperands(value);
+            });
+        }
+
+        return [propValue];
+    },
+
+    /**
+     *
+     * @param {String} propType
+     * @param {*} propValue
+     * @returns {Boolean} - whether the value can be converted to the specified type
+     */
+    isValidType: function (propType, propValue) {
+        switch (propType) {
+            case 'Boolean':
+                return _.isBoolean(propValue) || /^\s*(y|yes|true|n|no|false)\s*$/i.test(String(propValue));
+            case 'Number':
+                return /^\s*[-+]?\d+\s*$/.test(String(propValue));
+            case 'Float':
+            case 'Location':
+                return /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(String(propValue));
+            case 'Date':
+                return _.isDate(propValue) ? !_.isNaN(propValue.getTime()) : !_.isNaN(Date.parse(propValue));
+            default:
+                return true;
+        }
+    },
+
+    /**
+     *
+     * @param {String} propName
+     * @returns {Object|undefined} - the prop if it is saved as a field of the animal document (ie `status`)
+     */
+    getDocProp: function (propName) {
+        return _.find(this.docProps, {key: propName});
+    },
+
+    /**
+     *
+     * @returns {Boolean} - whether the query should be validated against the species
+     */
+    isStrict: function () {
+        return !!this.queryMeta.strict;
+    },
+
+    /**
+     *
+     * @returns {{key: String, valType: String, order: Number, isDocProp: Boolean}[]} - the props to sort by, in order of priority
+     */
+    getSortFields: function () {
+        var self = this;
+
+        return _.reduce(this.queryMeta.sortBy, function (sortFields, sortStr) {
+            var sortArgs = sortStr.toString().trim().split(':');
+            var propName = sortArgs[0];
+            var docProp = self.getDocProp(propName);
+            var speciesProp = self.species && self.species.getProp(propName) || docProp;
+
+            if (propName) {
+                sortFields.push({
+                    key: propName,
+                    valType: speciesProp ? speciesProp.valType : null,
+                    order: /^desc/i.test(sortArgs[1]) ? -1 : 1,
+                    isDocProp: !!docProp
+                });
+            }
+
+            return sortFields;
+        }, []);
+    },
+
+    /**
+     *
+     * @param {String} name
+     * @returns {Boolean} - whether the query asks for the named data to be included with each animal (ie `related`)
+     */
+    isExpanded: function (name) {
+        return _.includes(this.queryMeta.expand, name);
+    },
+
+    /**
+     *
+     * @returns {Boolean} - whether the query includes a full-text search
+     */
+    isTextQuery: function () {
+        return !!this.queryMeta.q;
+    },
+
+    /**
+     *
+     * @returns {Boolean} - whether the query is restricted to a radius around a location
+     */
+    isGeoQuery: function () {
+        return !!this.queryMeta.near;
+    },
+
+    /**
+     *
+     * @returns {{location: String, lat: Number, lon: Number, radius: Number}|Boolean} - the location the query is restricted to
+     */
+    getNear: function () {
+        return this.queryMeta.near || false;
+    },
+
+    /**
+     *
+     * @param {*} nearValue - an object (or JSON string) with `location`, `lat`, `lon`, and `radius` (in km) fields
+     * @returns {{location: String, lat: Number, lon: Number, radius: Number}|Boolean}
+     */
+    parseNearValue: function (nearValue) {
+        var near;
+
+        try {
+            near = _.isString(nearValue) ? JSON.parse(nearValue) : nearValue;
+        } catch (err) {
+            return false;
+        }
+
+        if (!(near && near.location)) {
+            return false;
+        }
+
+        near = {
+            location: near.location.toString().replace(/(Lat|Lon)$/, ''),
+            lat: parseFloat(near.lat),
+            lon: parseFloat(near.lon),
+            radius: parseFloat(near.radius)
+        };
+
+        if (!(Math.abs(near.lat) <= 90 && Math.abs(near.lon) <= 180 && near.radius > 0)) {
+            return false;
+        }
+
+        return near;
+    },
+
+    /**
+     * Builds a `$geoNear` stage that finds the animals nearest-first with their `distance` (in km) from the queried location
+     * @param {Object} mongoQuery - see toMongoQuery. It cannot include a full-text search
+     * @param {Object} [options]
+     * @param {Number} [options.limit] the most animals to find
+     * @returns {Object}
+     */
+    toGeoNearStage: function (mongoQuery, options) {
+        var near = this.queryMeta.near;
+        var locationField = 'locations.' + near.location;
+        var geoNear = {
+            near: {type: 'Point', coordinates: [near.lon, near.lat]},
+            key: locationField,
+            spherical: true,
+            distanceField: 'distance',
+            // distances are in meters
+            maxDistance: near.radius * 1000,
+            distanceMultiplier: 1 / 1000,
+            query: _.omit(mongoQuery, locationField)
+        };
+
+        if (options && _.isNumber(options.limit)) {
+            geoNear.limit = options.limit;
+        }
+
+        return {$geoNear: geoNear};
+    },
+
+    /**
+     *
+     * @param {Object} locations - GeoJSON points keyed by location name (see Animal.getLocations)
+     * @returns {Number|null} - distance in km between the queried location and the matching animal location
+     */
+    getDistance: function (locations) {
+        var near = this.queryMeta.near;
+        var point = near && locations && locations[near.location];
+        var toRadians = function (degrees) {
+            return degrees * Math.PI / 180;
+        };
+        var deltaLat, deltaLon, a;
+
+        if (!(point && point.coordinates)) {
+            return null;
+        }
+
+        // haversine formula
+        deltaLat = toRadians(point.coordinates[1] - near.lat);
+        deltaLon = toRadians(point.coordinates[0] - near.lon);
+        a = Math.pow(Math.sin(deltaLat / 2), 2) +
+            Math.cos(toRadians(near.lat)) * Math.cos(toRadians(point.coordinates[1])) * Math.pow(Math.sin(deltaLon / 2), 2);
+
+        return 2 * this.earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    /**
+     *
+     * @param {Object} propData - a formatted prop (see toFormattedObject)
+     * @returns {*} - the mongodb query for the value of the prop
+     */
+    toMongoValue: function (propData) {
+        var self = this;
+        var propValue = propData.val;
+
+        if (_.isArray(propValue)) {
+            // match any of the values
+            return {
+                $in: propValue.map(function (value) {
+                    return self.toMongoValue(_.defaults({val: value}, propData));
+                })
+            };
+        }
+
+        if (this.isRangeValue(propValue) && _.includes(this.rangePropTypes, propData.valType)) {
+            return this.toMongoRange(propValue);
+        }
+
+        if (this.isPropRegex(propData)) {
+            return this.toMongoRegExp(propData.key, propValue);
+        }
+
+        return propValue;
+    },
+
+    /**
+     *
+     * @param {String} propName
+     * @param {*} propValue
+     * @returns {RegExp} - a RegExp matching the value per the query meta props
+     */
+    toMongoRegExp: function (propName, propValue) {
+        var queryMeta = this.queryMeta,
+            prefix = '',
+            suffix = '',
+            regexArgs = '';
+
+        if (queryMeta.matchStartFor && _.includes(queryMeta.matchStartFor, propName)) {
+            prefix = '^';
+        }
+        if (queryMeta.matchEndFor && _.includes(queryMeta.matchEndFor, propName)) {
+            suffix = '$';
+        }
+        if (queryMeta.ignoreCase && _.includes(queryMeta.ignoreCase, propName)
+            || queryMeta.ignoreCaseFor && _.includes(queryMeta.ignoreCaseFor, propName)) {
+            regexArgs = 'i';
+        }
+        if (propName == 'color' || propName == 'petName') {
+            // ignore case for color,petName searches
+            regexArgs = 'i';
+        }
+        return new RegExp(prefix + this.escapeRegExp(propValue) + suffix, regexArgs);
+    },
+
+    /**
+     *
+     * @param {String} propName
+     * @param {*} mongoValue - the mongodb query for the value of a doc prop (see toMongoValue)
+     * @returns {*} - the query with dates converted from ISO strings, since doc props keep their own types
+     */
+    toMongoDocValue: function (propName, mongoValue) {
+        var self = this;
+        var docProp = this.getDocProp(propName);
+
+        if (!(docProp && docProp.valType === 'Date')) {
+            return mongoValue;
+        }
+
+        if (_.isString(mongoValue)) {
+            return _.isNaN(Date.parse(mongoValue)) ? mongoValue : new Date(mongoValue);
+        }
+
+        if (_.isArray(mongoValue)) {
+            return mongoValue.map(function (value) {
+                return self.toMongoDocValue(propName, value);
+            });
+        }
+
+        if (_.isPlainObject(mongoValue)) {
+            return _.mapValues(mongoValue, function (value) {
+                return self.toMongoDocValue(propName, value);
+            });
+        }
+
+        return mongoValue;
+    },
+
+    /**
+     *
+     * @returns {Object} - a mongodb query matching any value that is set
+     */
+    toMongoExists: function () {
+        return {
+            $exists: true,
+            $nin: [null, '']
+        };
+    },
+
+    /**
+     *
+     * @param {String} propType
+     * @param {*} propValue
+     * @returns {*} - the query value with any values coerced to the specified type
+     */
+    formatQueryValue: function (propType, propValue) {
+        var self = this;
+
+        if (this.isExistsValue(propValue)) {
+            return {exists: this.formatValue('Boolean', propValue.exists)};
+        }
+
+        if (this.isNegatedValue(propValue)) {
+            return {not: this.formatQueryValue(propType, propValue.not)};
+        }
+
+        if (_.isArray(propValue) && propType !== '[Image]') {
+            return propValue.map(function (value) {
+                return self.formatQueryValue(propType, value);
+            });
+        }
+
+        if (this.isRangeValue(propValue) && _.includes(this.rangePropTypes, propType)) {
+            return this.formatRangeValue(propType, propValue);
+        }
+
+        return this.formatValue(propType, propValue);
+    },
+
+    /**
+     *
+     * @param {*} propValue
+     * @returns {Boolean} - whether the value is a not-equals operator (ie `{not: 'Male'}`)
+     */
+    isNegatedValue: function (propValue) {
+        return _.isPlainObject(propValue) && _.isEqual(_.keys(propValue), ['not']);
+    },
+
+    /**
+     *
+     * @param {*} propValue
+     * @returns {Boolean} - whether the value is an exists operator (ie `{exists: false}`)
+     */
+    isExistsValue: function (propValue) {
+        return _.isPlainObject(propValue) && _.isEqual(_.keys(propValue), ['exists']);
+    },
+
+    /**
+     *
+     * @param {String} propType
+     * @param {*} propValue
+     * @returns {*} - the value coerced to the specified type
+     */
+    formatValue: function (propType, propValue) {
+        switch (propType) {
+            case 'Boolean':
+                return /^\s*(y|yes|true)\s*$/i.test(propValue);
+            case 'Number':
+                return parseInt(propValue);
+            case 'Date':
+                return propValue.toISOString ? propValue.toISOString() : propValue;
+            case 'Float':
+                return parseFloat(propValue);
+            default:
+                return propValue;
+        }
+    },
+
+    /**
+     *
+     * @param {*} propValue
+     * @returns {Boolean} - whether the value is an object of range operators (ie `{gte: 3, lt: 9}`)
+     */
+    isRangeValue: function (propValue) {
+        var self = this;
+
+        return _.isPlainObject(propValue) && _.keys(propValue).length > 0 && _.every(_.keys(propValue), function (operatorName) {
+            return _.includes(self.rangeOperators, operatorName);
+        });
+    },
+
+    /**
+     *
+     * @param {String} propType
+     * @param {Object} rangeValue
+     * @returns {Object} - the range operators with each value coerced to the specified type
+     */
+    formatRangeValue: function (propType, rangeValue) {
+        var self = this;
+
+        return _.reduce(rangeValue, function (formattedRange, operatorValue, operatorName) {
+            var formatOperand = function (operand) {
+                // dates are saved as ISO strings so operands must be normalized to compare correctly
+                if (propType === 'Date' && !_.isDate(operand) && !_.isNaN(Date.parse(operand))) {
+                    operand = new Date(operand);
+                }
+                return self.formatValue(propType, operand);
+            };
+
+            if (operatorName === 'between') {
+                operatorValue = _.isArray(operatorValue) ? operatorValue : self.parseArrayStr(operatorValue);
+                formattedRange[operatorName] = _.map(operatorValue, formatOperand);
+            } else {
+                formattedRange[operatorName] = formatOperand(operatorValue);
+            }
+
+            return formattedRange;
+        }, {});
+    },
+
+    /**
+     *
+     * @param {Object} rangeValue
+     * @returns {Object} - a mongodb comparison query
+     */
+    toMongoRange: function (rangeValue) {
+        return _.reduce(rangeValue, function (mongoRange, operatorValue, operatorName) {
+            if (operatorName === 'between') {
+                mongoRange.$gte = operatorValue[0];
+                mongoRange.$lte = operatorValue[1];
+            } else {
+                mongoRange['$' + operatorName] = operatorValue;
+            }
+            return mongoRange;
+        }, {});
+    },
+
     getPropType: function (propName, propData) {
         var propValue = propData.key ? propData.val : propData;
 
+        if (this.isExistsValue(propValue)) {
+            propValue = null;
+        } else if (this.isRangeValue(propValue) || this.isNegatedValue(propValue)) {
+            // infer type from the first operand
+            propValue = _.flatten(_.values(propValue))[0];
+        } else if (_.isArray(propValue)) {
+            propValue = propValue[0];
+        }
+
         if (this.species && this.species.getProp(propName)) {
             return this.species.getProp(propName).valType;
 
+        } else if (this.getDocProp(propName)) {
+            return this.getDocProp(propName).valType;
+
         } else if (propData.valType) {
             return propData.valType;
 
@@ -183,16 +760,10 @@ Query.prototype = {
     isPropRegex: function (propData) {
         var self = this,
             isString = propData.valType && propData.valType.toLowerCase() == 'string' && !_.isRegExp(propData.val),
-            hasMeta = (function () {
-                var result = false;
-                _.forEach(self.queryMeta, function (queryMetaValue) {
-                    if (_.includes(queryMetaValue, propData.key)) {
-                        result = true;
-                        return false;
-                    }
-                });
-                return result;
-            })();
+            // only the match meta props list prop names to match as a regex
+            hasMeta = _.some(['matchStartFor', 'matchEndFor', 'ignoreCase', 'ignoreCaseFor'], function (metaPropName) {
+                return _.isArray(self.queryMeta[metaPropName]) && _.includes(self.queryMeta[metaPropName], propData.key);
+            });
         return isString || hasMeta;
     },
 
@@ -0,0 +1,190 @@
+var _ = require('lodash');
+
+var Animal = require('./animal');
+var AnimalQuery = require('./query');
+
+/**
+ * The fields required by each type of operation
+ * @type {Object.<String, String[]>}
+ */
+var operationFields = {
+    // renames the `key` of a prop `to` a new key
+    'rename': ['key', 'to'],
+    // converts the values of a prop to its `valType` (or the valType of the species prop)
+    'retype': ['key'],
+    // replaces each value of a prop found in the `map` of old to new options
+    'mapOptions': ['key', 'map'],
+    // removes a prop
+    'drop': ['key']
+};
+
+var valTypes = ['String', 'Number', 'Float', 'Boolean', 'Date'];
+
+/**
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isEmpty(value) {
+    return _.isNil(value) || (_.isString(value) && value.trim() === '') || (_.isArray(value) && value.length === 0);
+}
+
+/**
+ * @name SpeciesMigration
+ */
+module.exports = {
+
+    /**
+     *
+     * @returns {String[]}
+     */
+    getOperationTypes: function () {
+        return _.keys(operationFields);
+    },
+
+    /**
+     * Checks the operations of a migration
+     * @param {Object[]} operations
+     * @param {Species} [species] the species the animals are migrated to
+     * @returns {{index: Number, message: String}[]}
+     */
+    validate: function (operations, species) {
+        var self = this;
+        var errors = [];
+        var addError = function (index, message) {
+            errors.push({index: index, message: message});
+        };
+
+        if (!_.isArray(operations) || operations.length === 0) {
+            return [{index: null, message: '`operations` must be an array of at least one operation'}];
+        }
+
+        _.forEach(operations, function (operation, index) {
+            var valType;
+
+            if (!_.has(operationFields, operation && operation.op)) {
+                addError(index, '`op` must be one of ' + self.getOperationTypes().join(', '));
+                return;
+            }
+
+            _.forEach(operationFields[operation.op], function (fieldName) {
+                if (isEmpty(operation[fieldName])) {
+                    addError(index, '`' + fieldName + '` is required');
+                }
+            });
+
+            switch (operation.op) {
+                case 'retype':
+                    valType = operation.valType || (species && species.getProp(operation.key) ? species.getProp(operation.key).valType : null);
+
+                    if (!_.includes(valTypes, valType)) {
+                        addError(index, '`valType` must be one of ' + valTypes.join(', '));
+                    }
+                    break;
+                case 'mapOptions':
+                    if (!_.isPlainObject(operation.map)) {
+                        addError(index, '`map` must be an object of old options to new options');
+                    }
+                    break;
+                case 'rename':
+                    if (operation.key === operation.to) {
+                        addError(index, '`to` must be a different key');
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Applies the operations of a migration to the props of an animal
+     * @param {Object[]} props - the saved props of the animal
+     * @param {Object[]} operations
+     * @param {Species} [species] the species the animal is migrated to
+     * @returns {{props: Object[], isChanged: Boolean, failures: {key: String, val: *, message: String}[]}} - failed values
+     * are left unchanged
+     */
+    migrateProps: function (props, operations, species) {
+        var migratedProps = _.cloneDeep(props);
+        var failures = [];
+        var isChanged = false;
+
+        _.forEach(operations, function (operation) {
+            var propData = _.find(migratedProps, {key: operation.key});
+            var speciesProp = species && species.getProp(operation.to || operation.key);
+            var valType;
+            var toOption = function (value) {
+                var oldOption = _.find(_.keys(operation.map), function (option) {
+                    return option.toLowerCase() === String(value).trim().toLowerCase();
+                });
+
+                return _.isUndefined(oldOption) ? value : operation.map[oldOption];
+            };
+            var toValue = function (value) {
+                if (isEmpty(value)) {
+                    return value;
+                }
+
+                if (!AnimalQuery.prototype.isValidType(valType, value)) {
+                    failures.push({key: propData.key, val: value, message: 'value must be a ' + valType});
+                    return value;
+                }
+
+                return Animal.prototype.toMongooseValue(valType, value);
+            };
+            var newValue;
+
+            if (!propData) {
+                return;
+            }
+
+            switch (operation.op) {
+                case 'rename':
+                    if (_.some(migratedProps, function (otherPropData) {
+                            return otherPropData.key === operation.to && !isEmpty(otherPropData.val);
+                        })) {
+                        failures.push({key: propData.key, val: propData.val, message: 'already has a value for ' + operation.to});
+                        return;
+                    }
+
+                    _.remove(migratedProps, {key: operation.to});
+                    _.assign(propData, speciesProp ? _.omit(speciesProp, ['_id', 'val']) : {}, {key: operation.to});
+                    isChanged = true;
+                    break;
+                case 'retype':
+                    valType = operation.valType || (speciesProp && speciesProp.valType);
+                    newValue = _.isArray(propData.val) ? _.map(propData.val, toValue) : toValue(propData.val);
+
+                    if (!_.isEqual(newValue, propData.val) || propData.valType !== valType) {
+                        propData.val = newValue;
+                        propData.valType = valType;
+                        isChanged = true;
+                    }
+                    break;
+                case 'mapOptions':
+                    newValue = _.isArray(propData.val) ? _.map(propData.val, toOption) : toOption(propData.val);
+
+                    if (!_.isEqual(newValue, propData.val)) {
+                        propData.val = newValue;
+                        isChanged = true;
+                    }
+                    break;
+                case 'drop':
+                    _.pull(migratedProps, propData);
+                    isChanged = true;
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return {
+            props: migratedProps,
+            isChanged: isChanged,
+            failures: failures
+        };
+    }
+};
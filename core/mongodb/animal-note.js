@@ -0,0 +1,199 @@
+var _ = require('lodash');
+
+var config = require('../config');
+var AnimalAudit = require('../lib/animal-audit');
+
+var BaseDatabase = require('./lib/database');
+var Collection = require('./lib/collection');
+var DbError = require('./lib/error');
+var AnimalNoteSchema = require('./schemas/animal-note');
+
+/**
+ * Keeps the timeline of staff notes of each animal
+ * @extends BaseDatabase
+ * @class AnimalNoteDatabase
+ * @param {Object} [options]
+ * @param {String} [options.collectionNamePrefix]
+ * @constructor
+ */
+function AnimalNoteDatabase(options) {
+    var _options = _.defaults(options, {
+        collectionNamePrefix: config.DEVELOPMENT_ENV ? 'dev_' : 'prod_'
+    });
+    var collection = new Collection(_options.collectionNamePrefix + 'animal_note', AnimalNoteSchema);
+
+    collection.addIndex({petId: 1, createdAt: -1});
+
+    BaseDatabase.call(this, collection);
+
+    this.initDatabase();
+}
+
+AnimalNoteDatabase.prototype = {
+
+    /**
+     *
+     * @param {String} petId
+     * @param {Object} [options]
+     * @param {String} [options.category] only finds notes of this category
+     * @param {String} [options.visibility] only finds notes of this visibility
+     * @returns {Promise.<Object[]>} - notes of the animal, newest first
+     */
+    findNotes: function (petId, options) {
+        var self = this;
+        var opts = _.defaults(options, {category: null, visibility: null});
+        var noteQuery = _.assign({petId: petId}, _.omitBy(_.pick(opts, ['category', 'visibility']), _.isNil));
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .find(noteQuery)
+                    .sort({createdAt: -1, _id: -1})
+                    .lean()
+                    .exec(function (err, notes) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(notes);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} speciesName
+     * @param {Object} noteFields - see AnimalNote.toNoteFields
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user writing the note
+     * @param {String} [options.authorName] name of the user writing the note
+     * @returns {Promise.<Object>}
+     */
+    createNote: function (petId, speciesName, noteFields, options) {
+        var opts = _.defaults(options, {userId: null, authorName: null});
+
+        return this.create(_.assign({
+            petId: petId,
+            speciesName: speciesName,
+            authorName: opts.authorName
+        }, noteFields, AnimalAudit.toDocFields(opts.userId)));
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} noteId
+     * @param {String} userId
+     * @returns {Promise.<Object>} - the note, rejects when it was written by another user
+     */
+    findAuthoredNote: function (petId, noteId, userId) {
+        return this.findOne({petId: petId, _id: noteId})
+            .then(function (note) {
+                if (note.createdBy !== userId) {
+                    return Promise.reject(new DbError('Only the author of a note can change it', 403));
+                }
+
+                return note;
+            });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} noteId
+     * @param {Object} noteFields - the fields to change (see AnimalNote.toNoteFields)
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user changing the note, who must be its author
+     * @returns {Promise.<Object>}
+     */
+    updateNote: function (petId, noteId, noteFields, options) {
+        var self = this;
+        var opts = _.defaults(options, {userId: null});
+        var auditFields = _.pick(AnimalAudit.toDocFields(opts.userId), ['updatedAt', 'updatedBy']);
+
+        return this.findAuthoredNote(petId, noteId, opts.userId)
+            .then(function (note) {
+                return new Promise(function (resolve, reject) {
+                    self.exec(function () {
+                        self.MongooseModel
+                            .findOneAndUpdate({_id: note._id}, {$set: _.assign({}, noteFields, auditFields)}, {new: true})
+                            .lean()
+                            .exec(function (err, savedNote) {
+                                if (err || !savedNote) {
+                                    err = new DbError(err || 'Note not found');
+                                    console.error(err);
+                                    reject(err);
+                                    return;
+                                }
+
+                                resolve(savedNote);
+                            });
+                    });
+                });
+            });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} noteId
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user removing the note, who must be its author
+     * @returns {Promise.<Object>} - the removed note
+     */
+    removeNote: function (petId, noteId, options) {
+        var self = this;
+        var opts = _.defaults(options, {userId: null});
+
+        return this.findAuthoredNote(petId, noteId, opts.userId)
+            .then(function (note) {
+                return new Promise(function (resolve, reject) {
+                    self.exec(function () {
+                        self.MongooseModel.remove({_id: note._id}, function (err) {
+                            if (err) {
+                                err = new DbError(err);
+                                console.error(err);
+                                reject(err);
+                                return;
+                            }
+
+                            resolve(note);
+                        });
+                    });
+                });
+            });
+    },
+
+    /**
+     *
+     * @param {String[]} petIds
+     * @returns {Promise}
+     */
+    removeNotes: function (petIds) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel.remove({petId: {$in: petIds}}, function (err) {
+                    if (err) {
+                        err = new DbError(err);
+                        console.error(err);
+                        reject(err);
+                        return;
+                    }
+
+                    resolve();
+                });
+            });
+        });
+    }
+};
+
+AnimalNoteDatabase.prototype = Object.assign({}, BaseDatabase.prototype, AnimalNoteDatabase.prototype);
+
+module.exports = AnimalNoteDatabase;
@@ -0,0 +1,176 @@
+var _ = require('lodash');
+
+var config = require('../config');
+
+var Collection = require('./lib/collection');
+var DbError = require('./lib/error');
+var TimestampedDatabase = require('./lib/timestamped-database');
+var AnimalRevisionSchema = require('./schemas/animal-revision');
+
+/**
+ * Keeps a copy of the props of every saved version of an animal
+ * @extends TimestampedDatabase
+ * @extends BaseDatabase
+ * @class AnimalRevisionDatabase
+ * @param {Object} [options]
+ * @param {String} [options.collectionNamePrefix]
+ * @constructor
+ */
+function AnimalRevisionDatabase(options) {
+    var _options = _.defaults(options, {
+        collectionNamePrefix: config.DEVELOPMENT_ENV ? 'dev_' : 'prod_'
+    });
+    var collection = new Collection(_options.collectionNamePrefix + 'animal_revision', AnimalRevisionSchema);
+
+    collection.addIndex({petId: 1, timestamp: -1});
+
+    TimestampedDatabase.call(this, collection);
+
+    this.initDatabase();
+}
+
+AnimalRevisionDatabase.prototype = {
+
+    /**
+     *
+     * @param {Object} animalDoc - the saved animal document
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user who saved the animal
+     * @returns {Promise.<Object>}
+     */
+    saveRevision: function (animalDoc, options) {
+        var _options = _.defaults(options, {
+            userId: null
+        });
+
+        return this.create({
+            petId: animalDoc._id.toString(),
+            speciesName: animalDoc.speciesName,
+            userId: _options.userId,
+            props: animalDoc.props
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @returns {Promise.<Object[]>} - revisions of the animal, newest first
+     */
+    findRevisions: function (petId) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .find({petId: petId})
+                    .sort({timestamp: -1, _id: -1})
+                    .lean()
+                    .exec(function (err, revisions) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(revisions);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} revisionId
+     * @returns {Promise.<Object>}
+     */
+    findRevision: function (petId, revisionId) {
+        return this.findOne({petId: petId, _id: revisionId});
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @returns {Promise.<Number>}
+     */
+    countRevisions: function (petId) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .count({petId: petId})
+                    .exec(function (err, count) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(count);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String[]} petIds
+     * @returns {Promise}
+     */
+    removeRevisions: function (petIds) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel.remove({petId: {$in: petIds}}, function (err) {
+                    if (err) {
+                        err = new DbError(err);
+                        console.error(err);
+                        reject(err);
+                        return;
+                    }
+
+                    resolve();
+                });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {Object} fromRevision
+     * @param {Object} toRevision
+     * @returns {{key: String, from: *, to: *}[]} - the props with a different value in each revision
+     */
+    diffRevisions: function (fromRevision, toRevision) {
+        var fromValues = _.reduce(fromRevision.props, function (values, propData) {
+            values[propData.key] = propData.val;
+            return values;
+        }, {});
+        var toValues = _.reduce(toRevision.props, function (values, propData) {
+            values[propData.key] = propData.val;
+            return values;
+        }, {});
+
+        return _.chain(_.keys(fromValues))
+            .union(_.keys(toValues))
+            .reject(function (propName) {
+                return _.isEqual(fromValues[propName], toValues[propName]);
+            })
+            .map(function (propName) {
+                return {
+                    key: propName,
+                    from: _.has(fromValues, propName) ? fromValues[propName] : null,
+                    to: _.has(toValues, propName) ? toValues[propName] : null
+                };
+            })
+            .value();
+    }
+};
+
+AnimalRevisionDatabase.prototype = Object.assign({}, TimestampedDatabase.prototype, AnimalRevisionDatabase.prototype);
+
+module.exports = AnimalRevisionDatabase;
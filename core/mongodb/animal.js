@@ -4,11 +4,17 @@ var _ = require('lodash');
 
 var config = require('../config');
 var Animal = require('../lib/animal');
+var AnimalAudit = require('../lib/animal-audit');
+var AnimalReference = require('../lib/animal-reference');
+var AnimalRelationship = require('../lib/animal-relationship');
+var AnimalStatus = require('../lib/animal-status');
 var AnimalQuery = require('../lib/query');
+var SpeciesMigration = require('../lib/species-migration');
 
 var BaseDatabase = require('./lib/database');
 var Collection = require('./lib/collection');
 var DbError = require('./lib/error');
+var CounterDatabase = require('./counter');
 var AnimalSchema = require('./schemas/animal');
 
 /**
@@ -20,6 +26,7 @@ var AnimalSchema = require('./schemas/animal');
  * @param {Boolean} [options.isDevelopment]
  * @param {String} [options.collectionNamePrefix]
  * @param {{complete: Function, isV1Format: Boolean}} [options.queryOptions] default query options
+ * @param {Object} [options.textSearchWeights] relevance weights of the props used for full-text search
  * @returns {AnimalDatabase}
  * @constructor
  */
@@ -29,12 +36,34 @@ function AnimalDatabase(options) {
         collectionNamePrefix: config.DEVELOPMENT_ENV ? 'dev_' : 'prod_',
         queryOptions: {
             isV1Format: true
+        },
+        textSearchWeights: {
+            petName: 10,
+            primaryBreed: 5,
+            secondaryBreed: 3,
+            color: 3,
+            description: 1
         }
     });
 
     BaseDatabase.call(this, this.collection);
 
     this.collection = new Collection(_options.collectionNamePrefix + 'animal', AnimalSchema);
+    this.collection.addSchemaProp('searchText', _.mapValues(_options.textSearchWeights, _.constant(String)));
+
+    this.collection.addIndex(_.reduce(_options.textSearchWeights, function (indexFields, weight, propName) {
+        indexFields['searchText.' + propName] = 'text';
+        return indexFields;
+    }, {}), {
+        name: 'text_search',
+        weights: _.mapKeys(_options.textSearchWeights, function (weight, propName) {
+            return 'searchText.' + propName;
+        })
+    });
+
+    // reference codes are numbered by a counter so that concurrent creates can't share one
+    this.collection.addIndex({referenceCode: 1}, {unique: true, sparse: true});
+    this.collection.addIndex({speciesName: 1});
 
     this.collection.addMiddleware('post', 'save', function (doc, next) {
         // TODO this never gets called
@@ -60,8 +89,23 @@ function AnimalDatabase(options) {
         });
 
         return new Promise(function (resolve, reject) {
+            var whereProps;
+
             if (searchProps.petId) {
-                self.MongooseModel.findOneAndUpdate({petId: searchProps.petId}, animalData, _options)
+                whereProps = self.toIdQuery(searchProps.petId);
+
+                if (_.isNumber(_options.version)) {
+                    // only update the version that was read
+                    whereProps.version = _options.version > 0 ? _options.version : {$in: [null, 0]};
+                    _options.upsert = false;
+                }
+
+                if (whereProps.referenceCode) {
+                    // reference codes are only assigned by the counter
+                    _options.upsert = false;
+                }
+
+                self.MongooseModel.findOneAndUpdate(whereProps, animalData, _.omit(_options, 'version'))
                     .lean()
                     .exec(function (err, animal) {
                         if (err) {
@@ -90,29 +134,677 @@ function AnimalDatabase(options) {
 
     });
 
+    this.CounterDb = new CounterDatabase({collectionNamePrefix: _options.collectionNamePrefix});
+
     this.setConfig('isDevelopment', _options.DEVELOPMENT_ENV);
     this.setConfig('queryOptions', _options.queryOptions);
+    this.setConfig('textSearchWeights', _options.textSearchWeights);
     this.initDatabase();
 }
 
 AnimalDatabase.prototype = {
 
+    /**
+     *
+     * @param {String} petId
+     * @returns {Object} - a query matching the animal, whether `petId` is its ObjectId, its reference code or an id it was imported with
+     */
+    toIdQuery: function (petId) {
+        if (AnimalReference.isReferenceCode(petId)) {
+            return {referenceCode: AnimalReference.normalize(petId)};
+        }
+
+        return /^[0-9a-f]{24}$/i.test(petId) ? {_id: petId} : {petId: petId};
+    },
+
+    /**
+     *
+     * @param {Object} animalDoc
+     * @param {Object} [options]
+     * @param {Object.<String, Object>} [options.relatedAnimals] related animals to include with the relationships (see findRelatedAnimals)
+     * @returns {Animal} - the saved animal with its `petId`, `referenceCode`, `status`, `version`, `relationships` and audit fields
+     */
+    toAnimal: function (animalDoc, options) {
+        var opts = _.defaults(options, {relatedAnimals: null});
+        var animal = new Animal(animalDoc.props);
+
+        animal.setValue('petId', animalDoc._id.toString());
+        animal.setValue('referenceCode', AnimalReference.toProp(animalDoc.referenceCode));
+        animal.setValue('status', AnimalStatus.toProp(animalDoc.status));
+        animal.setValue('version', {
+            key: 'version',
+            valType: 'Number',
+            description: 'incremented on each save. Send it with a save to only save over this version',
+            val: animalDoc.version || 0
+        });
+        animal.setValue('relationships', AnimalRelationship.toProp(this.toRelationships(animalDoc, opts.relatedAnimals)));
+        _.forEach(AnimalAudit.toProps(animalDoc), function (propData) {
+            animal.setValue(propData.key, propData);
+        });
+
+        return animal;
+    },
+
+    /**
+     *
+     * @param {Object} animalDoc
+     * @param {Object.<String, Object>} [relatedAnimals] related animals to include with each relationship (see findRelatedAnimals)
+     * @returns {{type: String, petId: String, createdAt: Date, createdBy: String, animal: Object}[]}
+     */
+    toRelationships: function (animalDoc, relatedAnimals) {
+        return _.map(animalDoc.relationships, function (relationship) {
+            var relationshipData = _.pick(relationship, ['type', 'petId', 'createdAt', 'createdBy']);
+
+            if (relatedAnimals) {
+                // trashed animals are left out
+                relationshipData.animal = relatedAnimals[relationship.petId] || null;
+            }
+
+            return relationshipData;
+        });
+    },
+
+    /**
+     *
+     * @param {Animal} animal
+     * @returns {Object} - the values of the full-text search props
+     */
+    getSearchText: function (animal) {
+        return _.reduce(this.getConfig('textSearchWeights'), function (searchText, weight, propName) {
+            var propValue = animal.getValue(propName);
+
+            if (!(propValue === undefined || propValue === null)) {
+                searchText[propName] = propValue.toString();
+            }
+
+            return searchText;
+        }, {});
+    },
+
+    /**
+     * Creates a 2dsphere index for each location that has not been indexed yet
+     * @param {String[]} locationNames - names of the GeoJSON points stored in `locations`
+     * @returns {Promise} - resolves once each location is indexed (or failed to be)
+     */
+    ensureGeoIndexes: function (locationNames) {
+        var self = this;
+
+        this._geoIndexes = this._geoIndexes || {};
+
+        return Promise.all(_.map(locationNames, function (locationName) {
+            var indexSpec = {};
+
+            if (self._geoIndexes[locationName]) {
+                return self._geoIndexes[locationName];
+            }
+
+            indexSpec['locations.' + locationName] = '2dsphere';
+
+            self._geoIndexes[locationName] = new Promise(function (resolve) {
+                self.MongooseModel.collection.createIndex(indexSpec, function (err) {
+                    if (err) {
+                        console.error(new DbError(err));
+                        // allow retry on next save
+                        delete self._geoIndexes[locationName];
+                    }
+
+                    resolve();
+                });
+            });
+
+            return self._geoIndexes[locationName];
+        }));
+    },
+
+    /**
+     * Builds the `$geoNear` stage of a geo query once its location is indexed
+     * @param {AnimalQuery} animalQuery
+     * @param {Object} matchQuery
+     * @param {Object} [options]
+     * @param {Number} [options.limit] the most animals to find. Defaults to every matching animal
+     * @returns {Promise.<Object>}
+     */
+    toGeoNearStage: function (animalQuery, matchQuery, options) {
+        var self = this;
+        var opts = _.defaults(options, {limit: null});
+        // $geoNear finds 100 animals unless it is given a limit
+        var limitPromise = _.isNumber(opts.limit) ? Promise.resolve(opts.limit) : new Promise(function (resolve, reject) {
+            self.MongooseModel.count(matchQuery, function (err, count) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(count);
+            });
+        });
+
+        return Promise.all([
+                limitPromise,
+                this.ensureGeoIndexes([animalQuery.getNear().location])
+            ])
+            .then(function (results) {
+                return animalQuery.toGeoNearStage(matchQuery, {limit: Math.max(results[0], 1)});
+            });
+    },
+
+    /**
+     * Builds aggregation stages that sort by values within the `props` array
+     * @param {{key: String, valType: String, order: Number, isDocProp: Boolean}[]} sortFields
+     * @param {Object} [options]
+     * @param {Boolean} [options.sortByRelevance=false] whether to sort by full-text search relevance when no sortFields are provided
+     * @param {Boolean} [options.sortByDistance=false] whether to sort nearest-first when no sortFields are provided (see toGeoNearStage)
+     * @returns {Object[]}
+     */
+    toSortStages: function (sortFields, options) {
+        var opts = _.defaults(options, {sortByRelevance: false, sortByDistance: false});
+        var sortValues = {};
+        var sort = {};
+        var stages = [];
+
+        _.forEach(sortFields, function (sortField, index) {
+            var sortValueName = 'sortValue' + index;
+            var propValue = sortField.isDocProp ? '$' + sortField.key : {
+                $arrayElemAt: [{
+                    $map: {
+                        input: {
+                            $filter: {
+                                input: '$props',
+                                as: 'prop',
+                                cond: {$eq: ['$$prop.key', sortField.key]}
+                            }
+                        },
+                        as: 'prop',
+                        in: '$$prop.val'
+                    }
+                }, 0]
+            };
+
+            // NOTE Number, Float, and Boolean values are saved with their type
+            // and Date values are saved as ISO strings so their order is kept
+            sortValues[sortValueName] = sortField.valType === 'String' ? {$toLower: propValue} : propValue;
+            sort[sortValueName] = sortField.order;
+        });
+
+        if (sortFields.length > 0) {
+            stages.push({$addFields: sortValues});
+        } else if (opts.sortByRelevance) {
+            sort.relevance = {$meta: 'textScore'};
+        } else if (opts.sortByDistance) {
+            sort.distance = 1;
+        }
+
+        // keep a stable order between requests
+        sort._id = 1;
+        stages.push({$sort: sort});
+
+        return stages;
+    },
+
+    /**
+     * Sets the status of animals saved before statuses were kept from their `adoptable` value (see bin/backfill-animals.js)
+     * @returns {Promise}
+     */
+    backfillStatuses: function () {
+        var self = this;
+        var updateStatuses = function (whereProps, status) {
+            return new Promise(function (resolve, reject) {
+                self.MongooseModel.update(_.assign({status: {$exists: false}}, whereProps), {$set: {status: status}}, {multi: true}, function (err) {
+                    if (err) {
+                        err = new DbError(err);
+                        console.error(err);
+                        reject(err);
+                        return;
+                    }
+
+                    resolve();
+                });
+            });
+        };
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                updateStatuses({props: {$elemMatch: {key: 'adoptable', val: true}}}, AnimalStatus.adoptableStatus)
+                    .then(function () {
+                        return updateStatuses({}, AnimalStatus.defaultStatus);
+                    })
+                    .then(resolve)
+                    .catch(reject);
+            });
+        });
+    },
+
+    /**
+     * Sets the `speciesName` of animals saved before it was kept on the document, from their `species` prop (see bin/backfill-animals.js)
+     * @returns {Promise}
+     */
+    backfillSpeciesNames: function () {
+        var self = this;
+        var missingSpeciesName = {speciesName: {$exists: false}};
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .aggregate([
+                        {$match: missingSpeciesName},
+                        {$unwind: '$props'},
+                        {$match: {'props.key': 'species'}},
+                        {$group: {_id: '$props.val'}}
+                    ])
+                    .exec(function (err, speciesGroups) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        Promise.all(_.map(speciesGroups, function (speciesGroup) {
+                                return new Promise(function (resolveUpdate, rejectUpdate) {
+                                    self.MongooseModel.update(_.assign({
+                                        props: {$elemMatch: {key: 'species', val: speciesGroup._id}}
+                                    }, missingSpeciesName), {$set: {speciesName: speciesGroup._id}}, {multi: true}, function (err) {
+                                        if (err) {
+                                            err = new DbError(err);
+                                            console.error(err);
+                                            rejectUpdate(err);
+                                            return;
+                                        }
+
+                                        resolveUpdate();
+                                    });
+                                });
+                            }))
+                            .then(resolve)
+                            .catch(reject);
+                    });
+            });
+        });
+    },
+
+    /**
+     * Keeps the `adoptable` prop of an animal in sync with its status
+     * @param {Object} animalDoc
+     * @returns {Promise.<Object>}
+     */
+    syncAdoptable: function (animalDoc) {
+        var self = this;
+        var adoptableProp = _.find(animalDoc.props, {key: 'adoptable'});
+        var adoptable = AnimalStatus.isAdoptable(animalDoc.status);
+
+        if (!(animalDoc.status && adoptableProp) || adoptableProp.val === adoptable) {
+            return Promise.resolve(animalDoc);
+        }
+
+        adoptableProp.val = adoptable;
+
+        return new Promise(function (resolve, reject) {
+            self.MongooseModel.update({_id: animalDoc._id, 'props.key': 'adoptable'}, {$set: {'props.$.val': adoptable}}, function (err) {
+                if (err) {
+                    err = new DbError(err);
+                    console.error(err);
+                    reject(err);
+                    return;
+                }
+
+                resolve(animalDoc);
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @returns {Promise.<{petId: String, status: String, statusHistory: Object[]}>}
+     */
+    findStatus: function (petId) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOne(_.assign(self.toIdQuery(petId), {trashedAt: null}), {status: 1, statusHistory: 1})
+                    .lean()
+                    .exec(function (err, animalDoc) {
+                        if (err || !animalDoc) {
+                            err = new DbError(err || 'Could not find pet');
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve({
+                            petId: animalDoc._id.toString(),
+                            status: animalDoc.status || AnimalStatus.defaultStatus,
+                            statusHistory: animalDoc.statusHistory || []
+                        });
+                    });
+            });
+        });
+    },
+
+    /**
+     * Moves an animal from its current status to another
+     * @param {String} petId
+     * @param {String} fromStatus - the current status of the animal
+     * @param {String} toStatus
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user changing the status
+     * @param {String} [options.reason]
+     * @returns {Promise.<{petId: String, status: String, statusHistory: Object[]}>}
+     */
+    transitionStatus: function (petId, fromStatus, toStatus, options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            userId: null,
+            reason: null
+        });
+        var transition = {
+            from: fromStatus,
+            to: toStatus,
+            timestamp: new Date(),
+            userId: opts.userId,
+            reason: opts.reason
+        };
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOneAndUpdate(_.assign(self.toIdQuery(petId), {status: fromStatus, trashedAt: null}), {
+                        $set: _.assign({status: toStatus}, _.pick(AnimalAudit.toDocFields(opts.userId), ['updatedAt', 'updatedBy'])),
+                        $push: {statusHistory: transition}
+                    }, {new: true})
+                    .lean()
+                    .exec(function (err, animalDoc) {
+                        if (err || !animalDoc) {
+                            // the status was changed since it was read
+                            err = new DbError(err || 'Pet status was changed by another request', 409);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        self.syncAdoptable(animalDoc)
+                            .then(function () {
+                                resolve({
+                                    petId: animalDoc._id.toString(),
+                                    status: animalDoc.status,
+                                    statusHistory: animalDoc.statusHistory
+                                });
+                            })
+                            .catch(reject);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {Object[]} animalDocs
+     * @param {Object} [options]
+     * @param {Boolean} [options.isV1Format]
+     * @returns {Promise.<Object.<String, Object>>} - the animals related to any of the animals, keyed by petId
+     */
+    findRelatedAnimals: function (animalDocs, options) {
+        var relatedPetIds = _.flatMap(animalDocs, function (animalDoc) {
+            return _.map(animalDoc.relationships, 'petId');
+        });
+
+        return this.findAnimalsById(relatedPetIds, options);
+    },
+
+    /**
+     *
+     * @param {String[]} petIds
+     * @param {Object} [options]
+     * @param {Boolean} [options.isV1Format]
+     * @returns {Promise.<Object.<String, Object>>} - the animals that aren't trashed, by petId
+     */
+    findAnimalsById: function (petIds, options) {
+        var self = this;
+        var opts = _.defaults(options, self._config.queryOptions);
+        var uniquePetIds = _.uniq(petIds);
+
+        if (uniquePetIds.length === 0) {
+            return Promise.resolve({});
+        }
+
+        return new Promise(function (resolve, reject) {
+            self.MongooseModel
+                .find({_id: {$in: uniquePetIds}, trashedAt: null})
+                .lean()
+                .exec(function (err, animalDocs) {
+                    if (err) {
+                        err = new DbError(err);
+                        console.error(err);
+                        reject(err);
+                        return;
+                    }
+
+                    resolve(_.reduce(animalDocs, function (animals, animalDoc) {
+                        var animal = self.toAnimal(animalDoc);
+
+                        animals[animalDoc._id.toString()] = opts.isV1Format ? animal.toObject() : animal.toLeanObject();
+                        return animals;
+                    }, {}));
+                });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {Object} [options]
+     * @param {Boolean} [options.isV1Format]
+     * @returns {Promise.<{petId: String, relationships: Object[]}>} - the relationships of the animal, including each related animal
+     */
+    findRelationships: function (petId, options) {
+        var self = this;
+
+        return this.findOne(_.assign(this.toIdQuery(petId), {trashedAt: null}))
+            .then(function (animalDoc) {
+                return self.findRelatedAnimals([animalDoc], options)
+                    .then(function (relatedAnimals) {
+                        return {
+                            petId: animalDoc._id.toString(),
+                            relationships: self.toRelationships(animalDoc, relatedAnimals)
+                        };
+                    });
+            });
+    },
+
+    /**
+     * Links two animals, recording the relationship on both of them
+     * @param {String} petId
+     * @param {String} relatedPetId - the petId or reference code of the related animal
+     * @param {String} type - how the animal is related to the other animal (see AnimalRelationship)
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user linking the animals
+     * @returns {Promise.<String>} - the petId of the related animal
+     */
+    linkAnimals: function (petId, relatedPetId, type, options) {
+        var self = this;
+        var opts = _.defaults(options, {userId: null});
+
+        return Promise.all([
+                this.findOne(_.assign(this.toIdQuery(petId), {trashedAt: null})),
+                this.findOne(_.assign(this.toIdQuery(relatedPetId), {trashedAt: null}))
+            ])
+            .then(function (animalDocs) {
+                var animalId = animalDocs[0]._id.toString();
+                var relatedAnimalId = animalDocs[1]._id.toString();
+
+                if (animalId === relatedAnimalId) {
+                    return Promise.reject(new DbError('An animal can not be related to itself', 400));
+                }
+
+                return self.addRelationship(animalId, {type: type, petId: relatedAnimalId}, opts)
+                    .then(function () {
+                        return self.addRelationship(relatedAnimalId, {type: AnimalRelationship.getInverseType(type), petId: animalId}, opts)
+                            .catch(function (err) {
+                                // don't leave the relationship recorded on only one of the animals
+                                return self.removeRelationships(animalId, {type: type, petId: relatedAnimalId})
+                                    .then(function () {
+                                        return Promise.reject(err);
+                                    });
+                            });
+                    })
+                    .then(function () {
+                        return relatedAnimalId;
+                    });
+            });
+    },
+
+    /**
+     * Removes the relationships between two animals from both of them
+     * @param {String} petId
+     * @param {String} relatedPetId - the petId or reference code of the related animal
+     * @param {String} [type] only removes relationships of this type
+     * @returns {Promise.<String>} - the petId of the related animal
+     */
+    unlinkAnimals: function (petId, relatedPetId, type) {
+        var self = this;
+
+        return Promise.all([
+                this.findOne(this.toIdQuery(petId)),
+                this.findOne(this.toIdQuery(relatedPetId))
+            ])
+            .then(function (animalDocs) {
+                var animalId = animalDocs[0]._id.toString();
+                var relatedAnimalId = animalDocs[1]._id.toString();
+
+                return Promise.all([
+                        self.removeRelationships(animalId, _.omitBy({type: type, petId: relatedAnimalId}, _.isNil)),
+                        self.removeRelationships(relatedAnimalId, _.omitBy({type: AnimalRelationship.getInverseType(type), petId: animalId}, _.isNil))
+                    ])
+                    .then(function () {
+                        return relatedAnimalId;
+                    });
+            });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {{type: String, petId: String}} relationship
+     * @param {Object} [options]
+     * @param {String} [options.userId]
+     * @returns {Promise} - resolves without changes when the animal already has the relationship
+     */
+    addRelationship: function (petId, relationship, options) {
+        var self = this;
+        var opts = _.defaults(options, {userId: null});
+
+        return new Promise(function (resolve, reject) {
+            self.MongooseModel.update({
+                _id: petId,
+                $nor: [{relationships: {$elemMatch: relationship}}]
+            }, {
+                $push: {
+                    relationships: _.assign({createdAt: new Date(), createdBy: opts.userId}, relationship)
+                }
+            }, function (err) {
+                if (err) {
+                    err = new DbError(err);
+                    console.error(err);
+                    reject(err);
+                    return;
+                }
+
+                resolve();
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {{type: String, petId: String}} relationship - the fields of the relationships to remove
+     * @returns {Promise}
+     */
+    removeRelationships: function (petId, relationship) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.MongooseModel.update({_id: petId}, {$pull: {relationships: relationship}}, function (err) {
+                if (err) {
+                    err = new DbError(err);
+                    console.error(err);
+                    reject(err);
+                    return;
+                }
+
+                resolve();
+            });
+        });
+    },
 
     /**
      *
+     * @param {AnimalQuery} animalQuery
+     * @param {Object} [options]
+     * @param {Boolean} [options.isTrashed=false] whether to match trashed animals instead of the others
+     * @returns {Object}
+     */
+    toMatchQuery: function (animalQuery, options) {
+        var opts = _.defaults(options, {isTrashed: false});
+
+        return _.assign(animalQuery.toMongoQuery(), {
+            trashedAt: opts.isTrashed ? {$ne: null} : null
+        });
+    },
+
+    /**
+     * Moves the animal to the trash
      * @param {Animal} animal
      * @param {Object} options
+     * @param {String} [options.userId] id of the user removing the animal
      * @returns {Promise}
      */
     removeAnimal: function (animal, options) {
         var self = this;
+        var opts = _.defaults(options, {userId: null});
 
         return new Promise(function (resolve, reject) {
             self.exec(function () {
                 var petId = animal.getValue('petId');
-                self.MongooseModel.remove({_id: petId}, function (err, removeOpInfo) {
-                    if (err || (removeOpInfo.result && removeOpInfo.result.n == 0)) {
+                var trashProps = {
+                    trashedAt: new Date(),
+                    trashedBy: opts.userId
+                };
+
+                self.MongooseModel.findOneAndUpdate(_.assign(self.toIdQuery(petId), {trashedAt: null}), {$set: trashProps}, function (err, animalDoc) {
+                    if (err || !animalDoc) {
                         reject(new DbError(err || "Could not delete pet"));
+                        return;
+                    }
+
+                    resolve({result: 'success'})
+                })
+            });
+        })
+    },
+
+    /**
+     * Moves the animal out of the trash
+     * @param {Animal} animal
+     * @returns {Promise}
+     */
+    restoreAnimal: function (animal) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                var petId = animal.getValue('petId');
+                var restoreProps = {
+                    trashedAt: null,
+                    trashedBy: null
+                };
+
+                self.MongooseModel.findOneAndUpdate(_.assign(self.toIdQuery(petId), {trashedAt: {$ne: null}}), {$set: restoreProps}, function (err, animalDoc) {
+                    if (err || !animalDoc) {
+                        reject(new DbError(err || "Could not restore pet"));
+                        return;
                     }
 
                     resolve({result: 'success'})
@@ -121,6 +813,69 @@ AnimalDatabase.prototype = {
         })
     },
 
+    /**
+     * Permanently deletes trashed animals
+     * @param {Object|Object[]} props an object with v1 properties or an array of v1 property objects
+     * @param {Object} [options]
+     * @param {Species} [options.species]
+     * @param {Date} [options.trashedBefore] only deletes animals trashed before this date
+     * @returns {Promise.<String[]>} the ids of the deleted animals
+     */
+    purgeAnimals: function (props, options) {
+        var self = this;
+        var opts = _.defaults(options, self._config.queryOptions);
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                var animalQuery = new AnimalQuery(props, opts.species);
+                var purgeQuery = self.toMatchQuery(animalQuery, {isTrashed: true});
+
+                if (opts.trashedBefore) {
+                    purgeQuery.trashedAt = {$lt: opts.trashedBefore};
+                }
+
+                self.MongooseModel
+                    .find(purgeQuery, {_id: 1})
+                    .lean()
+                    .exec(function (err, animalDocs) {
+                        var petIds = _.map(animalDocs, function (animalDoc) {
+                            return animalDoc._id.toString();
+                        });
+
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        self.MongooseModel.remove({_id: {$in: petIds}}, function (err) {
+                            if (err) {
+                                err = new DbError(err);
+                                console.error(err);
+                                reject(err);
+                                return;
+                            }
+
+                            // unlink the deleted animals from the animals they were related to
+                            self.MongooseModel.update({'relationships.petId': {$in: petIds}}, {
+                                $pull: {relationships: {petId: {$in: petIds}}}
+                            }, {multi: true}, function (err) {
+                                if (err) {
+                                    err = new DbError(err);
+                                    console.error(err);
+                                    reject(err);
+                                    return;
+                                }
+
+                                resolve(petIds);
+                            });
+                        });
+                    });
+            });
+        })
+    },
+
     /**
      *
      * @param {Object|Object[]}props an object with v1 properties or an array of v1 property objects
@@ -128,39 +883,355 @@ AnimalDatabase.prototype = {
      * @param {Species} [options.species]
      * @param {Boolean} [options.isV1Format] V1 format includes additional metadata
      * @param {Boolean} [options.isV1Format=true]
+     * @param {Number} [options.pageNumber] page of results to return (starting at 1). All results are returned if not provided
+     * @param {Number} [options.pageSize=10]
+     * @param {Boolean} [options.isTrashed=false] whether to find trashed animals instead of the others
+     * @param {Boolean} [options.expandRelated] whether to include the related animals with the relationships of each animal. Defaults to the `expand` field of the query
      * @returns {Promise}
      */
     findAnimals: function (props, options) {
+        var self = this;
+        var opts = _.defaults(options, self._config.queryOptions, {pageSize: 10});
+        var pageSize = parseInt(opts.pageSize);
+        var pageStartIndex = _.isFinite(parseInt(opts.pageNumber)) ? (Math.max(parseInt(opts.pageNumber), 1) - 1) * pageSize : null;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                var animalQuery = new AnimalQuery(props, opts.species);
+                var matchQuery = self.toMatchQuery(animalQuery, {isTrashed: opts.isTrashed});
+                var sortFields = animalQuery.getSortFields();
+                var expandRelated = _.isBoolean(opts.expandRelated) ? opts.expandRelated : animalQuery.isExpanded('related');
+                // $geoNear and $text both have to be the first stage, so text searches near a location are sorted by relevance instead
+                var isNearQuery = animalQuery.isGeoQuery() && !animalQuery.isTextQuery();
+                // $geoNear finds near queries with the `distance` of each animal
+                // only the animals up to the end of the page are needed when they are sorted nearest-first
+                var geoNearLimit = _.isNumber(pageStartIndex) && sortFields.length === 0 ? pageStartIndex + pageSize : null;
+                var firstStagePromise = isNearQuery ?
+                    self.toGeoNearStage(animalQuery, matchQuery, {limit: geoNearLimit}) :
+                    Promise.resolve({$match: matchQuery});
+
+                firstStagePromise
+                    .then(function (firstStage) {
+                        var pipeline = [firstStage].concat(self.toSortStages(sortFields, {
+                            // sort most relevant (or nearest) first by default
+                            sortByRelevance: animalQuery.isTextQuery(),
+                            sortByDistance: isNearQuery
+                        }));
+
+                        if (_.isNumber(pageStartIndex)) {
+                            pipeline.push({$skip: pageStartIndex}, {$limit: pageSize});
+                        }
+
+                        if (animalQuery.isTextQuery()) {
+                            // the text score is only available as metadata, so it is projected next to the animal
+                            pipeline.push({$project: {animal: '$$ROOT', relevance: {$meta: 'textScore'}}});
+                        }
+
+                        return new Promise(function (resolve, reject) {
+                            self.MongooseModel
+                                .aggregate(pipeline)
+                                .exec(function (err, animals) {
+                                    if (err) {
+                                        reject(err);
+                                        return;
+                                    }
+
+                                    resolve(animals);
+                                });
+                        });
+                    })
+                    .then(function (animals) {
+                        if (animalQuery.isTextQuery()) {
+                            animals = animals.map(function (result) {
+                                return _.assign(result.animal, {relevance: result.relevance});
+                            });
+                        }
+
+                        if (animalQuery.isGeoQuery() && !isNearQuery) {
+                            animals.forEach(function (animalData) {
+                                animalData.distance = animalQuery.getDistance(animalData.locations);
+                            });
+                        }
+
+                        return (expandRelated ? self.findRelatedAnimals(animals, {isV1Format: opts.isV1Format}) : Promise.resolve(null))
+                            .then(function (relatedAnimals) {
+                                return animals.map(function (animalData) {
+                                    var newAnimal = self.toAnimal(animalData, {relatedAnimals: relatedAnimals});
+
+                                    if (_.isNumber(animalData.relevance)) {
+                                        newAnimal.setValue('relevance', {
+                                            key: 'relevance',
+                                            valType: 'Float',
+                                            description: 'full-text search relevance score',
+                                            val: animalData.relevance
+                                        });
+                                    }
+
+                                    if (_.isNumber(animalData.distance)) {
+                                        newAnimal.setValue('distance', {
+                                            key: 'distance',
+                                            valType: 'Float',
+                                            description: 'distance (in km) from the queried location',
+                                            val: animalData.distance
+                                        });
+                                    }
+
+                                    return opts.isV1Format ? newAnimal.toObject() : newAnimal.toLeanObject();
+                                });
+                            });
+                    })
+                    .then(resolve)
+                    .catch(function (err) {
+                        err = new DbError(err, err.status);
+                        console.error(err);
+                        reject(err);
+                    });
+            });
+        })
+    },
+
+    /**
+     *
+     * @param {Object|Object[]}props an object with v1 properties or an array of v1 property objects
+     * @param {Object} [options]
+     * @param {Species} [options.species]
+     * @param {Boolean} [options.isTrashed=false] whether to count trashed animals instead of the others
+     * @returns {Promise.<Number>} the number of animals matching the props
+     */
+    countAnimals: function (props, options) {
         var self = this;
         var opts = _.defaults(options, self._config.queryOptions);
 
         return new Promise(function (resolve, reject) {
             self.exec(function () {
                 var animalQuery = new AnimalQuery(props, opts.species);
-                var animalMongoQuery = animalQuery.toMongoQuery();
+
+                self.MongooseModel.count(self.toMatchQuery(animalQuery, {isTrashed: opts.isTrashed}), function (err, count) {
+                    if (err) {
+                        err = new DbError(err);
+                        console.error(err);
+                        reject(err);
+                        return;
+                    }
+
+                    resolve(count);
+                });
+            });
+        })
+    },
+
+    /**
+     *
+     * @param {Object|Object[]}props an object with v1 properties or an array of v1 property objects
+     * @param {Object} options
+     * @param {String[]} options.propNames names of the props to count values for
+     * @param {Species} [options.species]
+     * @returns {Promise.<Object>} the number of matching animals per value, keyed by prop name (ie `{size: {Small: 12}}`)
+     */
+    countPropValues: function (props, options) {
+        var self = this;
+        var opts = _.defaults(options, self._config.queryOptions, {propNames: []});
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                var animalQuery = new AnimalQuery(props, opts.species);
 
                 self.MongooseModel
-                    .find(animalMongoQuery)
+                    .aggregate([
+                        {$match: self.toMatchQuery(animalQuery)},
+                        {$unwind: '$props'},
+                        {$match: {'props.key': {$in: opts.propNames}}},
+                        {
+                            $group: {
+                                _id: {key: '$props.key', val: '$props.val'},
+                                count: {$sum: 1}
+                            }
+                        }
+                    ])
+                    .exec(function (err, propValueCounts) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(_.reduce(propValueCounts, function (result, propValueCount) {
+                            var propName = propValueCount._id.key;
+
+                            result[propName] = result[propName] || {};
+                            result[propName][propValueCount._id.val] = propValueCount.count;
+                            return result;
+                        }, {}));
+                    });
+            });
+        })
+    },
+
+    /**
+     * Finds the fields of each animal that shelter stats are computed from (see AnimalStats)
+     * @param {String} [speciesName] finds the animals of every species when `all` or not given
+     * @returns {Promise.<{speciesName: String, intakeDate: Date, adoptable: *, lost: *, status: String, statusHistory: Object[]}[]>}
+     */
+    findStatsAnimals: function (speciesName) {
+        var self = this;
+        var statsPropNames = ['intakeDate', 'adoptable', 'lost'];
+        var matchQuery = {trashedAt: null};
+
+        if (speciesName && speciesName !== 'all') {
+            matchQuery.speciesName = speciesName;
+        }
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .aggregate([
+                        {$match: matchQuery},
+                        {
+                            $project: {
+                                speciesName: 1,
+                                status: 1,
+                                statusHistory: 1,
+                                props: {
+                                    $filter: {
+                                        input: '$props',
+                                        as: 'prop',
+                                        cond: {$in: ['$$prop.key', statsPropNames]}
+                                    }
+                                }
+                            }
+                        }
+                    ])
+                    .exec(function (err, animalDocs) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(_.map(animalDocs, function (animalDoc) {
+                            var propValues = _.reduce(animalDoc.props, function (values, propData) {
+                                values[propData.key] = propData.val;
+                                return values;
+                            }, {});
+                            var intakeDate = propValues.intakeDate ? new Date(propValues.intakeDate) : null;
+
+                            return {
+                                speciesName: animalDoc.speciesName,
+                                intakeDate: intakeDate && !_.isNaN(intakeDate.getTime()) ? intakeDate : null,
+                                adoptable: propValues.adoptable,
+                                lost: propValues.lost,
+                                status: animalDoc.status,
+                                statusHistory: animalDoc.statusHistory || []
+                            };
+                        }));
+                    });
+            });
+        });
+    },
+
+    /**
+     * Applies the operations of a species migration to every animal of the species, including trashed animals
+     * @param {String} speciesName
+     * @param {Object[]} operations - see SpeciesMigration
+     * @param {Object} [options]
+     * @param {Boolean} [options.dryRun] only counts the animals that would change
+     * @param {Species} [options.species] the species the animals are migrated to
+     * @param {String} [options.userId] id of the user migrating the animals
+     * @returns {Promise.<{dryRun: Boolean, animalCount: Number, changedPetIds: String[], failures: Object[], migratedAnimalDocs: Object[]}>}
+     */
+    migrateAnimals: function (speciesName, operations, options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            dryRun: false,
+            species: null,
+            userId: null
+        });
+        var auditFields = _.pick(AnimalAudit.toDocFields(opts.userId), ['updatedAt', 'updatedBy']);
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .find({speciesName: speciesName})
                     .lean()
-                    .exec(function (err, animals) {
+                    .exec(function (err, animalDocs) {
                         if (err) {
-                            var dbErr = new DbError(err);
-                            console.error(dbErr);
-                            reject(dbErr);
+                            reject(err);
                             return;
                         }
 
-                        var result = animals.map(function (animalData) {
-                            var newAnimal = new Animal(animalData.props);
+                        resolve(animalDocs);
+                    });
+            });
+        })
+            .then(function (animalDocs) {
+                var failures = [];
+                var migrations = _.reduce(animalDocs, function (changedMigrations, animalDoc) {
+                    var migration = SpeciesMigration.migrateProps(animalDoc.props, operations, opts.species);
+                    var petId = animalDoc._id.toString();
+
+                    _.forEach(migration.failures, function (failure) {
+                        failures.push(_.assign({petId: petId}, failure));
+                    });
+
+                    return migration.isChanged ? changedMigrations.concat({animalDoc: animalDoc, props: migration.props}) : changedMigrations;
+                }, []);
 
-                            newAnimal.setValue('petId', animalData._id.toString());
+                if (opts.dryRun) {
+                    return {migrations: migrations, migratedAnimalDocs: [], failures: failures, animalCount: animalDocs.length};
+                }
+
+                // update one at a time, skipping animals saved since they were read
+                return migrations.reduce(function (migrationPromise, migration) {
+                    return migrationPromise.then(function (migratedAnimalDocs) {
+                        var animalDoc = migration.animalDoc;
+                        var searchText = self.getSearchText(self.toAnimal(_.assign({}, animalDoc, {props: migration.props})));
+
+                        return new Promise(function (resolve, reject) {
+                            self.MongooseModel
+                                .findOneAndUpdate({_id: animalDoc._id, version: _.isNil(animalDoc.version) ? null : animalDoc.version}, {
+                                    $set: _.assign({props: migration.props, searchText: searchText}, auditFields),
+                                    $inc: {version: 1}
+                                }, {new: true})
+                                .lean()
+                                .exec(function (err, migratedAnimalDoc) {
+                                    if (err) {
+                                        reject(err);
+                                        return;
+                                    }
+
+                                    if (!migratedAnimalDoc) {
+                                        failures.push({petId: animalDoc._id.toString(), key: null, val: null, message: 'Pet was changed by another request'});
+                                        resolve(migratedAnimalDocs);
+                                        return;
+                                    }
 
-                            return opts.isV1Format ? newAnimal.toObject() : newAnimal.toLeanObject();
+                                    resolve(migratedAnimalDocs.concat(migratedAnimalDoc));
+                                });
                         });
-                        resolve(result);
-                    })
+                    });
+                }, Promise.resolve([]))
+                    .then(function (migratedAnimalDocs) {
+                        return {migrations: migrations, migratedAnimalDocs: migratedAnimalDocs, failures: failures, animalCount: animalDocs.length};
+                    });
+            })
+            .then(function (result) {
+                return {
+                    dryRun: opts.dryRun,
+                    animalCount: result.animalCount,
+                    changedPetIds: _.map(result.migrations, function (migration) {
+                        return migration.animalDoc._id.toString();
+                    }),
+                    failures: result.failures,
+                    migratedAnimalDocs: result.migratedAnimalDocs
+                };
+            })
+            .catch(function (err) {
+                err = new DbError(err, err.status);
+                console.error(err);
+                return Promise.reject(err);
             });
-        })
     },
 
     /**
@@ -168,6 +1239,7 @@ AnimalDatabase.prototype = {
      * @param {Animal} animal
      * @param {Object} options
      * @param {Boolean} [options.isV1Format] V1 format includes additional metadata
+     * @param {Number} [options.version] only saves over this version of the animal. Rejects with a 409 including the `current` animal otherwise
      * @returns {Promise}
      */
     saveAnimal: function (animal, options) {
@@ -176,39 +1248,163 @@ AnimalDatabase.prototype = {
         var animalQuery = new AnimalQuery(animal.toObject());
         var animalMongoQuery = animalQuery.toMongoQuery();
         var animalDocData = animal.toMongooseDoc();
+        var initialStatus = AnimalStatus.getInitialStatus(animal.getValue('adoptable'));
+        var initialStatusData = {
+            status: initialStatus,
+            statusHistory: [{
+                from: null,
+                to: initialStatus,
+                timestamp: new Date(),
+                userId: _options.userId || null,
+                reason: 'created'
+            }]
+        };
+        var auditFields = AnimalAudit.toDocFields(_options.userId);
+
+        animalDocData.searchText = this.getSearchText(animal);
+
+        // the status and relationships are changed through their own endpoints, the other doc fields are only changed by saves,
+        // and `distance` and `relevance` are only sent with query results
+        animalDocData.props = _.reject(animalDocData.props, function (propData) {
+            return _.includes(['referenceCode', 'relationships', 'status', 'version', 'distance', 'relevance'].concat(AnimalAudit.getKeys()), propData.key);
+        });
+
+        if (AnimalReference.isReferenceCode(animal.getValue('petId'))) {
+            // saves over the animal with the reference code rather than one imported with it as its id
+            animalMongoQuery = {petId: AnimalReference.normalize(animal.getValue('petId'))};
+            delete animalDocData.petId;
+        }
+
+        if (animalMongoQuery.petId) {
+            // the creation fields are only set when the upsert inserts the animal
+            _.assign(animalDocData, _.pick(auditFields, ['updatedAt', 'updatedBy']));
+            animalDocData.$setOnInsert = _.assign(initialStatusData, _.pick(auditFields, ['createdAt', 'createdBy']));
+            animalDocData.$inc = {version: 1};
+        } else {
+            _.assign(animalDocData, initialStatusData, auditFields, {version: 1});
+        }
 
         return new Promise(function (resolve, reject) {
 
             self.exec(function () {
                 var upsertOptions = {isV1Format: _options.isV1Format};
 
+                if (_.isNumber(_options.version)) {
+                    upsertOptions.version = _options.version;
+                }
+
+                self.ensureGeoIndexes(_.keys(animalDocData.locations));
+
                 self.MongooseModel.upsert(animalMongoQuery, animalDocData, upsertOptions)
                     .then(function (animalDoc) {
-                        var newAnimal;
-                        var result;
+                        if (!animalDoc && (_.isNumber(upsertOptions.version) || AnimalReference.isReferenceCode(animalMongoQuery.petId))) {
+                            return self.rejectStaleSave(animalMongoQuery.petId, _options);
+                        }
 
                         if (!animalDoc) {
-                            err = new DbError("Animal Not Saved", 500);
-                            console.error(err);
-                            reject(err);
-                            return;
+                            return Promise.reject(new DbError("Animal Not Saved", 500));
                         }
 
-                        newAnimal = new Animal(animalDoc.props);
-                        newAnimal.setValue('petId', animalDoc._id.toString());
-
-                        result = _options.isV1Format ? newAnimal.toObject() : newAnimal.toLeanObject();
+                        return self.assignReferenceCode(animalDoc);
+                    })
+                    .then(function (animalDoc) {
+                        return self.syncAdoptable(animalDoc);
+                    })
+                    .then(function (animalDoc) {
+                        var newAnimal = self.toAnimal(animalDoc);
 
-                        resolve(result);
+                        resolve(_options.isV1Format ? newAnimal.toObject() : newAnimal.toLeanObject());
                     })
                     .catch(function (err) {
-                        err = new DbError(err);
+                        err = new DbError(err, err.status);
                         console.error(err);
                         reject(err);
                     });
             });
         })
     },
+
+    /**
+     * Gives the animal the next reference code of its species, unless it already has one
+     * @param {Object} animalDoc
+     * @returns {Promise.<Object>} - the animal document with its `referenceCode`
+     */
+    assignReferenceCode: function (animalDoc) {
+        var self = this;
+        var prefix;
+
+        if (animalDoc.referenceCode) {
+            return Promise.resolve(animalDoc);
+        }
+
+        prefix = AnimalReference.getPrefix(animalDoc.speciesName, animalDoc.createdAt);
+
+        return self.CounterDb.next(prefix)
+            .then(function (seq) {
+                return new Promise(function (resolve, reject) {
+                    self.MongooseModel
+                        .findOneAndUpdate({_id: animalDoc._id, referenceCode: null}, {
+                            $set: {referenceCode: AnimalReference.format(prefix, seq)}
+                        }, {new: true})
+                        .lean()
+                        .exec(function (err, updatedDoc) {
+                            if (err) {
+                                reject(err);
+                                return;
+                            }
+
+                            if (updatedDoc) {
+                                resolve(updatedDoc);
+                                return;
+                            }
+
+                            // a concurrent save of the animal assigned it a reference code first
+                            self.MongooseModel
+                                .findOne({_id: animalDoc._id})
+                                .lean()
+                                .exec(function (err, currentDoc) {
+                                    if (err || !currentDoc) {
+                                        reject(err || new DbError('Pet not found'));
+                                        return;
+                                    }
+
+                                    resolve(currentDoc);
+                                });
+                        });
+                });
+            });
+    },
+
+    /**
+     * Rejects a save of an outdated version of an animal with the current version of the animal
+     * @param {String} petId
+     * @param {Object} options
+     * @param {Boolean} [options.isV1Format]
+     * @returns {Promise}
+     */
+    rejectStaleSave: function (petId, options) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.MongooseModel
+                .findOne(self.toIdQuery(petId))
+                .lean()
+                .exec(function (err, animalDoc) {
+                    var currentAnimal;
+
+                    if (err || !animalDoc) {
+                        reject(new DbError(err || 'Pet not found'));
+                        return;
+                    }
+
+                    currentAnimal = self.toAnimal(animalDoc);
+
+                    reject(_.assign(new DbError('Pet was changed by another request', 409), {
+                        current: options.isV1Format ? currentAnimal.toObject() : currentAnimal.toLeanObject()
+                    }));
+                });
+        });
+    },
 };
 
 AnimalDatabase.prototype = Object.assign({}, BaseDatabase.prototype, AnimalDatabase.prototype);
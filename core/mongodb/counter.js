@@ -0,0 +1,73 @@
+var _ = require('lodash');
+
+var config = require('../config');
+
+var BaseDatabase = require('./lib/database');
+var Collection = require('./lib/collection');
+var DbError = require('./lib/error');
+var CounterSchema = require('./schemas/counter');
+
+/**
+ * Keeps named sequences that are incremented atomically
+ * @extends BaseDatabase
+ * @class CounterDatabase
+ * @param {Object} [options]
+ * @param {String} [options.collectionNamePrefix]
+ * @constructor
+ */
+function CounterDatabase(options) {
+    var _options = _.defaults(options, {
+        collectionNamePrefix: config.DEVELOPMENT_ENV ? 'dev_' : 'prod_'
+    });
+    var collection = new Collection(_options.collectionNamePrefix + 'counter', CounterSchema);
+
+    collection.addIndex({name: 1}, {unique: true});
+
+    BaseDatabase.call(this, collection);
+
+    this.initDatabase();
+}
+
+CounterDatabase.prototype = {
+
+    /**
+     * Increments a counter, starting it at 1 when it does not exist yet
+     * @param {String} name
+     * @returns {Promise.<Number>} - the incremented value, which is never returned for another call
+     */
+    next: function (name) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                var increment = function (isRetry) {
+                    self.MongooseModel
+                        .findOneAndUpdate({name: name}, {$inc: {seq: 1}}, {upsert: true, new: true})
+                        .lean()
+                        .exec(function (err, counterDoc) {
+                            if (err && err.code === 11000 && !isRetry) {
+                                // another call created the counter first, so it can now be incremented
+                                increment(true);
+                                return;
+                            }
+
+                            if (err || !counterDoc) {
+                                err = new DbError(err || 'Counter not saved', 500);
+                                console.error(err);
+                                reject(err);
+                                return;
+                            }
+
+                            resolve(counterDoc.seq);
+                        });
+                };
+
+                increment(false);
+            });
+        });
+    }
+};
+
+CounterDatabase.prototype = Object.assign({}, BaseDatabase.prototype, CounterDatabase.prototype);
+
+module.exports = CounterDatabase;
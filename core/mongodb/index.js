@@ -7,6 +7,7 @@ var log = require('debug')('pet-api:mongodb');
 
 var config = require('../config');
 var Animal = require('../lib/animal');
+var AnimalStats = require('../lib/animal-stats');
 var Species = require('../lib/species');
 
 var DbError = require('./lib/error');
@@ -14,6 +15,9 @@ var SpeciesDbImage = require('./lib/species-db-image');
 var UserDatabase = require('./user');
 var SpeciesCollectionDatabase = require('./species-collection');
 var AnimalDatabase = require('./animal');
+var AnimalRevisionDatabase = require('./animal-revision');
+var MedicalRecordDatabase = require('./medical-record');
+var AnimalNoteDatabase = require('./animal-note');
 
 
 /**
@@ -24,6 +28,8 @@ var AnimalDatabase = require('./animal');
  * @param {String} [options.collectionNamePrefix]
  * @param {SpeciesDbImage[]} [options.preset]
  * @param {Function} [options.onPresetComplete]
+ * @param {String[][]} [options.duplicateCriteria] sets of props that identify the same animal when all of their values match
+ * @param {Number} [options.speciesRevisionRetention] number of species collection revisions to keep. All are kept when `0`
  * @returns {MongoAPIDatabase}
  * @constructor
  */
@@ -59,7 +65,18 @@ function MongoAPIDatabase(options) {
     this.UserDb = new UserDatabase({collectionNamePrefix: _options.collectionNamePrefix});
     this.SpeciesCollectionDb = new SpeciesCollectionDatabase({collectionNamePrefix: _options.collectionNamePrefix});
     this.AnimalDb = new AnimalDatabase({collectionNamePrefix: _options.collectionNamePrefix});
+    this.AnimalRevisionDb = new AnimalRevisionDatabase({collectionNamePrefix: _options.collectionNamePrefix});
+    this.MedicalRecordDb = new MedicalRecordDatabase({collectionNamePrefix: _options.collectionNamePrefix});
+    this.AnimalNoteDb = new AnimalNoteDatabase({collectionNamePrefix: _options.collectionNamePrefix});
     this.speciesCache = {};
+    this.speciesRevisionRetention = parseInt(_.isUndefined(_options.speciesRevisionRetention) ? config.SPECIES_REVISION_RETENTION : _options.speciesRevisionRetention);
+    // sets of props that identify the same animal when all of their values match
+    this.duplicateCriteria = _options.duplicateCriteria || [
+        ['microchip_number'],
+        ['caseNumber'],
+        ['petName', 'intakeDate', 'shelterId'],
+        ['petName', 'intakeDate', 'shelterName']
+    ];
 
     if (_options.preset && _options.preset.length > 0) this.uploadDbImages(_options.preset, _options.onPresetComplete);
 
@@ -155,8 +172,64 @@ MongoAPIDatabase.prototype = {
      * @returns {Promise}
      */
     saveUser: function (userData, options) {
+        var self = this;
         var _options = _.defaults(options, {});
-        return this.UserDb.update({id: userData.id}, userData, _options);
+
+        // saved searches are only modified through saveUserSearch and removeUserSearch
+        return this.UserDb.findSearches(userData.id)
+            .then(function (searches) {
+                return self.UserDb.update({id: userData.id}, _.assign({}, userData, {searches: searches}), _options);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} userId
+     * @returns {Promise.<Object[]>}
+     */
+    findUserSearches: function (userId) {
+        return this.UserDb.findSearches(userId);
+    },
+
+
+    /**
+     *
+     * @param {String} userId
+     * @param {String} searchId
+     * @returns {Promise.<Object>}
+     */
+    findUserSearch: function (userId, searchId) {
+        return this.UserDb.findSearches(userId)
+            .then(function (searches) {
+                var search = _.find(searches, function (searchData) {
+                    return String(searchData._id) === String(searchId);
+                });
+
+                return search || Promise.reject(new DbError('Saved search not found'));
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} userId
+     * @param {Object} searchData
+     * @returns {Promise.<Object>}
+     */
+    saveUserSearch: function (userId, searchData) {
+        return this.UserDb.saveSearch(userId, searchData);
+    },
+
+
+    /**
+     *
+     * @param {String} userId
+     * @param {String} searchId
+     * @returns {Promise.<Object>}
+     */
+    removeUserSearch: function (userId, searchId) {
+        return this.UserDb.removeSearch(userId, searchId);
     },
 
 
@@ -191,11 +264,15 @@ MongoAPIDatabase.prototype = {
      * @param {String} speciesName
      * @param {Object} props
      * @param {Object} [options]
+     * @param {Number} [options.version] only saves over this version of the species. Rejects with a 409 including the `current` species otherwise
+     * @param {Number} [options.retries=3] times to retry the save when another species was saved at the same time
      * @returns {Promise}
      */
     saveSpecies: function (speciesName, props, options) {
         var self = this;
-        var _options = _.defaults(options, {});
+        var _options = _.defaults(options, {
+            retries: 3
+        });
         var species = new Species(speciesName, props);
 
         return this.SpeciesCollectionDb.findLatest()
@@ -206,7 +283,15 @@ MongoAPIDatabase.prototype = {
             .then(function (speciesCollectionDoc) {
                 var newSpeciesDoc = species.toMongooseDoc();
                 var prevSpeciesDoc = _.find(speciesCollectionDoc.speciesList, {speciesName: species.getSpeciesName()});
-                var newSpeciesCollectionDoc;
+                var prevVersion = prevSpeciesDoc ? prevSpeciesDoc.version || 0 : 0;
+
+                if (_.isNumber(_options.version) && _options.version !== prevVersion) {
+                    return Promise.reject(_.assign(new DbError('Species was changed by another request', 409), {
+                        current: prevSpeciesDoc || null
+                    }));
+                }
+
+                newSpeciesDoc.version = prevVersion + 1;
 
                 if (prevSpeciesDoc) {
                     // update referenced species doc in collection
@@ -218,15 +303,27 @@ MongoAPIDatabase.prototype = {
                     speciesCollectionDoc.speciesList.push(newSpeciesDoc);
                 }
 
-                newSpeciesCollectionDoc = _.omit(speciesCollectionDoc, ['_id', '__v']);
-
+                return self.SpeciesCollectionDb.saveRevision(speciesCollectionDoc)
+                    .catch(function (err) {
+                        if (err.status === 409 && !err.current && _options.retries > 0) {
+                            // another species was saved since the collection was read
+                            return self.saveSpecies(speciesName, props, _.defaults({retries: _options.retries - 1}, _options))
+                                .then(function (speciesDoc) {
+                                    return {speciesList: [speciesDoc]};
+                                });
+                        }
+
+                        return Promise.reject(err);
+                    });
+            })
+            .then(function (speciesCollectionDoc) {
                 // this is unnecessary but can serve as a backup in case of data loss in the db
                 // cache a copy of speciesCollection (currently a local json file)
-                self._saveToSpeciesCache(newSpeciesCollectionDoc);
+                self._saveToSpeciesCache(speciesCollectionDoc);
+
+                // non-blocking
+                self.pruneSpeciesRevisions();
 
-                return self.SpeciesCollectionDb.create(newSpeciesCollectionDoc);
-            })
-            .then(function (speciesCollectionDoc) {
                 // only pass the species object that was saved
                 return _.find(speciesCollectionDoc.speciesList, {speciesName: speciesName});
             })
@@ -253,8 +350,46 @@ MongoAPIDatabase.prototype = {
 
                 // create a new speciesCollection to save to database
                 // NOTE we are not updating, but creating a new speciesCollection each time
-                // db size can become a concern if a species is updated many times
-                return self.SpeciesCollectionDb.create(newSpeciesCollectionDoc);
+                // old copies are pruned to the `speciesRevisionRetention`
+                return self.SpeciesCollectionDb.saveRevision(newSpeciesCollectionDoc);
+            })
+            .then(function (speciesCollectionDoc) {
+                // non-blocking
+                self.pruneSpeciesRevisions();
+
+                return speciesCollectionDoc;
+            });
+    },
+
+
+    /**
+     * Deletes the oldest species collection revisions beyond the `speciesRevisionRetention`
+     * @returns {Promise}
+     */
+    pruneSpeciesRevisions: function () {
+        if (!(this.speciesRevisionRetention > 0)) {
+            return Promise.resolve();
+        }
+
+        return this.SpeciesCollectionDb.pruneRevisions(this.speciesRevisionRetention)
+            .catch(function (err) {
+                console.error(err);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @returns {Promise.<Object[]>} - the saved versions of the species, newest first, with the number of props of each
+     * (see SpeciesCollectionDatabase.findSpeciesVersions)
+     */
+    findSpeciesVersions: function (speciesName) {
+        return this.SpeciesCollectionDb.findSpeciesVersions(speciesName)
+            .then(function (speciesVersions) {
+                return _.map(speciesVersions, function (speciesVersion) {
+                    return _.assign(_.omit(speciesVersion, 'props'), {propCount: _.size(speciesVersion.props)});
+                });
             });
     },
 
@@ -262,8 +397,111 @@ MongoAPIDatabase.prototype = {
     /**
      *
      * @param {String} speciesName
+     * @param {String} fromVersionId
+     * @param {String} toVersionId
+     * @returns {Promise.<{from: Object, to: Object, changes: Object[]}>} - see SpeciesCollectionDatabase.diffSpecies
+     */
+    diffSpeciesVersions: function (speciesName, fromVersionId, toVersionId) {
+        var self = this;
+
+        return Promise.all([
+                this.SpeciesCollectionDb.findSpeciesVersion(speciesName, fromVersionId),
+                this.SpeciesCollectionDb.findSpeciesVersion(speciesName, toVersionId)
+            ])
+            .then(function (speciesVersions) {
+                return {
+                    from: _.omit(speciesVersions[0], 'props'),
+                    to: _.omit(speciesVersions[1], 'props'),
+                    changes: self.SpeciesCollectionDb.diffSpecies(speciesVersions[0], speciesVersions[1])
+                };
+            });
+    },
+
+
+    /**
+     * Saves the props of a previous version of a species as its current version
+     * @param {String} speciesName
+     * @param {String} versionId
+     * @param {Object} [options]
+     * @param {Number} [options.version] only saves over this version of the species (see saveSpecies)
+     * @returns {Promise}
+     */
+    restoreSpeciesVersion: function (speciesName, versionId, options) {
+        var self = this;
+
+        return this.SpeciesCollectionDb.findSpeciesVersion(speciesName, versionId)
+            .then(function (speciesVersion) {
+                var props = _.map(speciesVersion.props, function (propData) {
+                    return _.omit(propData, '_id');
+                });
+
+                return self.saveSpecies(speciesName, props, options);
+            });
+    },
+
+
+    /**
+     * Renames, converts, remaps or drops props of every animal of a species. Update the species model separately
+     * @param {String} speciesName
+     * @param {Object[]} operations - see SpeciesMigration
+     * @param {Object} [options]
+     * @param {Boolean} [options.dryRun] only previews the animals that would change and the values that would fail to convert
+     * @param {String} [options.userId] id of the user migrating the animals
+     * @returns {Promise.<{dryRun: Boolean, animalCount: Number, changedCount: Number, changedPetIds: String[], failures: Object[]}>}
+     */
+    migrateSpecies: function (speciesName, operations, options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            dryRun: false,
+            userId: null
+        });
+        var savedSpeciesName;
+        var migrationOptions;
+
+        return this.findSpecies(speciesName)
+            .then(function (speciesDoc) {
+                savedSpeciesName = speciesDoc.speciesName;
+                migrationOptions = {species: self.speciesCache[savedSpeciesName], userId: opts.userId};
+
+                return self.AnimalDb.migrateAnimals(savedSpeciesName, operations, _.assign({dryRun: true}, migrationOptions));
+            })
+            .then(function (preview) {
+                if (opts.dryRun) {
+                    return preview;
+                }
+
+                // keeps the props of animals saved before revisions were kept so the migration can be undone
+                return Promise.all(_.map(preview.changedPetIds, function (petId) {
+                        return self.saveInitialRevision(petId);
+                    }))
+                    .then(function () {
+                        return self.AnimalDb.migrateAnimals(savedSpeciesName, operations, migrationOptions);
+                    })
+                    .then(function (result) {
+                        return Promise.all(_.map(result.migratedAnimalDocs, function (animalDoc) {
+                                return self.AnimalRevisionDb.saveRevision(animalDoc, {userId: opts.userId});
+                            }))
+                            .then(function () {
+                                return _.assign(result, {
+                                    changedPetIds: _.map(result.migratedAnimalDocs, function (animalDoc) {
+                                        return animalDoc._id.toString();
+                                    })
+                                });
+                            });
+                    });
+            })
+            .then(function (result) {
+                return _.assign(_.omit(result, 'migratedAnimalDocs'), {changedCount: result.changedPetIds.length});
+            });
+    },
+
+
+    /**
+     * Moves an animal to the trash
+     * @param {String} speciesName
      * @param {Object} props
      * @param {Object} [options]
+     * @param {String} [options.userId] id of the user removing the animal
      * @returns {Promise}
      */
     removeAnimal: function (speciesName, props, options) {
@@ -276,22 +514,765 @@ MongoAPIDatabase.prototype = {
     },
 
 
+    /**
+     * Applies a patch of prop values to many animals
+     * @param {String} speciesName
+     * @param {Object} selector
+     * @param {String[]} [selector.petIds] ids of the animals to update
+     * @param {Object} [selector.query] props matching the animals to update, used when `petIds` are not given
+     * @param {Object} props values to set on each animal
+     * @param {Object} [options]
+     * @param {String} [options.mode='all-or-nothing'] `all-or-nothing` makes no changes when any animal is not found, and reverts the changes made
+     * when an update fails partway (without a version check, so this is not atomic). `best-effort` keeps the changes that succeed
+     * @param {String} [options.userId] id of the user updating the animals
+     * @returns {Promise.<{mode: String, isApplied: Boolean, results: Object[]}>}
+     */
+    updateAnimals: function (speciesName, selector, props, options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            mode: 'all-or-nothing',
+            userId: null
+        });
+
+        return this._applyBulkEdit(speciesName, selector, opts, {
+            result: 'updated',
+            apply: function (animalDoc) {
+                var values = _.assign(self._toAnimalValues(animalDoc), props, {petId: animalDoc._id.toString()});
+                return self.saveAnimal(speciesName, values, {userId: opts.userId});
+            },
+            revert: function (animalDoc) {
+                var values = _.assign(self._toAnimalValues(animalDoc), {petId: animalDoc._id.toString()});
+                return self.saveAnimal(speciesName, values, {userId: opts.userId});
+            }
+        });
+    },
+
+
+    /**
+     * Moves many animals to the trash
+     * @param {String} speciesName
+     * @param {Object} selector
+     * @param {String[]} [selector.petIds] ids of the animals to remove
+     * @param {Object} [selector.query] props matching the animals to remove, used when `petIds` are not given
+     * @param {Object} [options]
+     * @param {String} [options.mode='all-or-nothing'] `all-or-nothing` removes no animals when any animal is not found, and restores the removed
+     * animals when a removal fails partway (so this is not atomic). `best-effort` keeps the removals that succeed
+     * @param {String} [options.userId] id of the user removing the animals
+     * @returns {Promise.<{mode: String, isApplied: Boolean, results: Object[]}>}
+     */
+    removeAnimals: function (speciesName, selector, options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            mode: 'all-or-nothing',
+            userId: null
+        });
+
+        return this._applyBulkEdit(speciesName, selector, opts, {
+            result: 'removed',
+            apply: function (animalDoc) {
+                return self.removeAnimal(speciesName, {petId: animalDoc._id.toString()}, {userId: opts.userId});
+            },
+            revert: function (animalDoc) {
+                return self.restoreAnimal(speciesName, {petId: animalDoc._id.toString()});
+            }
+        });
+    },
+
+
     /**
      *
+     * @param {Object} animalDoc
+     * @returns {Object} the prop values of a saved animal, keyed by prop name
+     * @private
+     */
+    _toAnimalValues: function (animalDoc) {
+        return _.reduce(animalDoc.props, function (values, propData) {
+            values[propData.key] = propData.val;
+            return values;
+        }, {});
+    },
+
+
+    /**
+     * Finds the animals of a bulk edit, then applies the edit to each one in turn. An all-or-nothing edit that fails partway
+     * is compensated by reverting the animals already edited, which overwrites any change saved to them in between
+     * @param {String} speciesName
+     * @param {Object} selector
+     * @param {Object} options
+     * @param {Object} edit
+     * @param {String} edit.result the result of each edited animal (ie `updated`)
+     * @param {Function} edit.apply edits an animal doc
+     * @param {Function} edit.revert undoes the edit of an animal doc
+     * @returns {Promise.<{mode: String, isApplied: Boolean, results: Object[]}>}
+     * @private
+     */
+    _applyBulkEdit: function (speciesName, selector, options, edit) {
+        var self = this;
+        var isAllOrNothing = options.mode !== 'best-effort';
+        var petIdsPromise = selector.petIds ?
+            Promise.resolve(_.uniq(_.map(selector.petIds, String))) :
+            this.findAnimals(_.defaults({species: speciesName}, selector.query), {isV1Format: false})
+                .then(function (animals) {
+                    return _.map(animals, 'petId');
+                });
+
+        return petIdsPromise
+            .then(function (petIds) {
+                return Promise.all(petIds.map(function (petId) {
+                    return self.AnimalDb.findOne(_.assign(self.AnimalDb.toIdQuery(petId), {speciesName: speciesName, trashedAt: null}))
+                        .then(function (animalDoc) {
+                            return {petId: petId, animalDoc: animalDoc};
+                        }, function () {
+                            return {petId: petId, result: 'failed', message: 'Animal not found'};
+                        });
+                }));
+            })
+            .then(function (results) {
+                var isMissingAnimal = _.some(results, {result: 'failed'});
+
+                if (isAllOrNothing && isMissingAnimal) {
+                    return results.map(function (result) {
+                        return result.result ? result : {petId: result.petId, result: 'skipped'};
+                    });
+                }
+
+                // edit one at a time so an all-or-nothing edit can stop at the first failure
+                return results.reduce(function (editPromise, result) {
+                    return editPromise.then(function (editedResults) {
+                        var isStopped = isAllOrNothing && _.some(editedResults, {result: 'failed'});
+
+                        if (result.result || isStopped) {
+                            return editedResults.concat(result.result ? result : {petId: result.petId, result: 'skipped'});
+                        }
+
+                        return edit.apply(result.animalDoc)
+                            .then(function () {
+                                return editedResults.concat({petId: result.petId, result: edit.result, animalDoc: result.animalDoc});
+                            }, function (err) {
+                                return editedResults.concat({petId: result.petId, result: 'failed', message: err.message});
+                            });
+                    });
+                }, Promise.resolve([]));
+            })
+            .then(function (results) {
+                var isFailed = _.some(results, {result: 'failed'});
+
+                if (!(isAllOrNothing && isFailed)) {
+                    return results;
+                }
+
+                return Promise.all(results.map(function (result) {
+                    if (result.result !== edit.result) {
+                        return result;
+                    }
+
+                    return edit.revert(result.animalDoc)
+                        .then(function () {
+                            return {petId: result.petId, result: 'reverted'};
+                        }, function (err) {
+                            console.error(err);
+                            return {petId: result.petId, result: 'revert-failed', message: err.message};
+                        });
+                }));
+            })
+            .then(function (results) {
+                return {
+                    mode: isAllOrNothing ? 'all-or-nothing' : 'best-effort',
+                    isApplied: !_.some(results, {result: 'failed'}),
+                    results: results.map(function (result) {
+                        return _.omit(result, 'animalDoc');
+                    })
+                };
+            });
+    },
+
+
+    /**
+     * Finds saved animals that are likely the same as a new animal (see `duplicateCriteria`)
+     * @param {String} speciesName
+     * @param {Object|Object[]} props v1 props, v2 values, or an array of v1 props
+     * @param {Object} [options]
+     * @returns {Promise.<{matchedBy: String[], animal: Object}[]>}
+     */
+    findDuplicateAnimals: function (speciesName, props, options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            species: this.speciesCache[speciesName]
+        });
+        // accept an array of v1 props, v1 props (prop data) or v2 values
+        var animal = new Animal(opts.species, _.isArray(props) ? _.reduce(props, function (values, propData) {
+            values[propData.key] = propData.val;
+            return values;
+        }, {}) : _.mapValues(props, function (propValue) {
+            return _.isPlainObject(propValue) && propValue.val !== undefined ? propValue.val : propValue;
+        }));
+        var candidates = {};
+        var duplicateQueries = _.reduce(this.duplicateCriteria, function (queries, propNames) {
+            var isMissingValue = _.some(propNames, function (propName) {
+                var propValue = animal.getValue(propName);
+                return propValue === null || propValue === undefined || String(propValue).trim() === '';
+            });
+            var getValType = function (propName) {
+                var prop = animal.getProp(propName);
+                return prop && prop.valType ? prop.valType : (_.isString(animal.getValue(propName)) ? 'String' : null);
+            };
+            // only strings are matched as whole values ignoring case, other values are matched exactly
+            var stringPropNames = _.filter(propNames, function (propName) {
+                return getValType(propName) === 'String';
+            });
+            var queryData = {
+                species: speciesName,
+                matchStartFor: stringPropNames,
+                matchEndFor: stringPropNames,
+                ignoreCase: stringPropNames
+            };
+
+            if (isMissingValue) {
+                return queries;
+            }
+
+            _.forEach(propNames, function (propName) {
+                var propValue = animal.getValue(propName);
+                var day;
+
+                if (getValType(propName) === 'Date') {
+                    // match any time on the same day
+                    day = new Date(propValue);
+                    day = _.isNaN(day.getTime()) ? null : Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+                    propValue = day ? {
+                        gte: new Date(day).toISOString(),
+                        lt: new Date(day + 24 * 60 * 60 * 1000).toISOString()
+                    } : propValue;
+                }
+
+                queryData[propName] = propValue;
+            });
+
+            queries.push({
+                propNames: propNames,
+                queryData: queryData
+            });
+
+            return queries;
+        }, []);
+
+        return Promise.all(duplicateQueries.map(function (duplicateQuery) {
+                return self.AnimalDb.findAnimals(duplicateQuery.queryData, {species: opts.species, isV1Format: true})
+                    .then(function (animals) {
+                        _.forEach(animals, function (animalData) {
+                            var petId = animalData.petId.val;
+
+                            candidates[petId] = candidates[petId] || {matchedBy: [], animal: animalData};
+                            candidates[petId].matchedBy = _.union(candidates[petId].matchedBy, duplicateQuery.propNames);
+                        });
+                    });
+            }))
+            .then(function () {
+                return _.values(candidates);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} petId
+     * @returns {Promise.<{petId: String, status: String, statusHistory: Object[]}>}
+     */
+    findAnimalStatus: function (petId) {
+        return this.AnimalDb.findStatus(petId);
+    },
+
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} fromStatus - the current status of the animal
+     * @param {String} toStatus
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user changing the status
+     * @param {String} [options.reason]
+     * @returns {Promise.<{petId: String, status: String, statusHistory: Object[]}>}
+     */
+    transitionAnimalStatus: function (petId, fromStatus, toStatus, options) {
+        return this.AnimalDb.transitionStatus(petId, fromStatus, toStatus, options);
+    },
+
+
+    /**
+     *
+     * @param {String} petId
+     * @param {Object} [options]
+     * @param {Boolean} [options.isV1Format]
+     * @returns {Promise.<{petId: String, relationships: Object[]}>} - the relationships of the animal, including each related animal
+     */
+    findAnimalRelationships: function (petId, options) {
+        return this.AnimalDb.findRelationships(petId, options);
+    },
+
+
+    /**
+     * Links two animals, recording the relationship on both of them
+     * @param {String} petId
+     * @param {String} relatedPetId - the petId or reference code of the related animal
+     * @param {String} type - how the animal is related to the other animal (ie `bonded-with`)
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user linking the animals
+     * @returns {Promise.<String>} - the petId of the related animal
+     */
+    linkAnimals: function (petId, relatedPetId, type, options) {
+        return this.AnimalDb.linkAnimals(petId, relatedPetId, type, options);
+    },
+
+
+    /**
+     * Removes the relationships between two animals from both of them
+     * @param {String} petId
+     * @param {String} relatedPetId - the petId or reference code of the related animal
+     * @param {String} [type] only removes relationships of this type
+     * @returns {Promise.<String>} - the petId of the related animal
+     */
+    unlinkAnimals: function (petId, relatedPetId, type) {
+        return this.AnimalDb.unlinkAnimals(petId, relatedPetId, type);
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @returns {Promise.<Object>} - the animal doc, rejects when the animal isn't of the species or is trashed
+     */
+    _findSpeciesAnimal: function (speciesName, petId) {
+        return this.AnimalDb.findOne(_.assign(this.AnimalDb.toIdQuery(petId), {speciesName: speciesName, trashedAt: null}));
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {Object} [options]
+     * @param {String} [options.category] only finds records of this category
+     * @returns {Promise.<{petId: String, records: Object[]}>} - the records of the animal, most recent first
+     */
+    findMedicalRecords: function (speciesName, petId, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                var animalId = animalDoc._id.toString();
+
+                return self.MedicalRecordDb.findRecords(animalId, options)
+                    .then(function (records) {
+                        return {petId: animalId, records: records};
+                    });
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {String} recordId
+     * @returns {Promise.<Object>}
+     */
+    findMedicalRecord: function (speciesName, petId, recordId) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.MedicalRecordDb.findRecord(animalDoc._id.toString(), recordId);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {Object} recordFields - see MedicalRecord.toRecordFields
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user saving the record
+     * @returns {Promise.<Object>}
+     */
+    createMedicalRecord: function (speciesName, petId, recordFields, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.MedicalRecordDb.createRecord(animalDoc._id.toString(), speciesName, recordFields, options);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {String} recordId
+     * @param {Object} recordFields - the fields to change (see MedicalRecord.toRecordFields)
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user saving the record
+     * @returns {Promise.<Object>}
+     */
+    updateMedicalRecord: function (speciesName, petId, recordId, recordFields, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.MedicalRecordDb.updateRecord(animalDoc._id.toString(), recordId, recordFields, options);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {String} recordId
+     * @returns {Promise.<Object>} - the removed record
+     */
+    removeMedicalRecord: function (speciesName, petId, recordId) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.MedicalRecordDb.removeRecord(animalDoc._id.toString(), recordId);
+            });
+    },
+
+
+    /**
+     * Finds the vaccinations, tests, etc. that are overdue or due soon, skipping animals in the trash
+     * @param {String} speciesName
+     * @param {Date} dueBefore
+     * @param {Object} [options]
+     * @param {Boolean} [options.isV1Format]
+     * @returns {Promise.<Object[]>} - the records, soonest due first, with the `animal` they are for and whether they are `isOverdue`
+     */
+    findDueMedicalRecords: function (speciesName, dueBefore, options) {
+        var self = this;
+
+        return this.MedicalRecordDb.findDueRecords(dueBefore, {speciesName: speciesName})
+            .then(function (records) {
+                return self.AnimalDb.findAnimalsById(_.map(records, 'petId'), options)
+                    .then(function (animals) {
+                        var now = new Date();
+
+                        return _.reduce(records, function (dueRecords, record) {
+                            if (animals[record.petId]) {
+                                dueRecords.push(_.assign(record, {
+                                    animal: animals[record.petId],
+                                    isOverdue: record.dueDate < now
+                                }));
+                            }
+                            return dueRecords;
+                        }, []);
+                    });
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {Object} [options]
+     * @param {String} [options.category] only finds notes of this category
+     * @param {String} [options.visibility] only finds notes of this visibility
+     * @returns {Promise.<{petId: String, notes: Object[]}>} - the notes of the animal, newest first
+     */
+    findAnimalNotes: function (speciesName, petId, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                var animalId = animalDoc._id.toString();
+
+                return self.AnimalNoteDb.findNotes(animalId, options)
+                    .then(function (notes) {
+                        return {petId: animalId, notes: notes};
+                    });
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {Object} noteFields - see AnimalNote.toNoteFields
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user writing the note
+     * @param {String} [options.authorName] name of the user writing the note
+     * @returns {Promise.<Object>}
+     */
+    createAnimalNote: function (speciesName, petId, noteFields, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.AnimalNoteDb.createNote(animalDoc._id.toString(), speciesName, noteFields, options);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {String} noteId
+     * @param {Object} noteFields - the fields to change (see AnimalNote.toNoteFields)
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user changing the note, who must be its author
+     * @returns {Promise.<Object>}
+     */
+    updateAnimalNote: function (speciesName, petId, noteId, noteFields, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.AnimalNoteDb.updateNote(animalDoc._id.toString(), noteId, noteFields, options);
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} petId - the petId or reference code of the animal
+     * @param {String} noteId
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user removing the note, who must be its author
+     * @returns {Promise.<Object>} - the removed note
+     */
+    removeAnimalNote: function (speciesName, petId, noteId, options) {
+        var self = this;
+
+        return this._findSpeciesAnimal(speciesName, petId)
+            .then(function (animalDoc) {
+                return self.AnimalNoteDb.removeNote(animalDoc._id.toString(), noteId, options);
+            });
+    },
+
+
+    /**
+     * Computes the intake, adoption, population and length of stay stats of animals over a date range
+     * @param {String} speciesName - computes the stats of every species when `all`
+     * @param {{from: Date, to: Date}} range
+     * @returns {Promise.<{from: Date, to: Date, species: Object[], total: Object}>} - see AnimalStats.toStats
+     */
+    getStats: function (speciesName, range) {
+        return this.AnimalDb.findStatsAnimals(speciesName)
+            .then(function (animals) {
+                return AnimalStats.toStats(animals, range);
+            });
+    },
+
+
+    /**
+     * Moves an animal out of the trash
+     * @param {String} speciesName
+     * @param {Object} props
+     * @param {Object} [options]
+     * @returns {Promise}
+     */
+    restoreAnimal: function (speciesName, props, options) {
+        var opts = _.defaults(options, {
+                species: this.speciesCache[speciesName]
+            }),
+            animal = new Animal(opts.species, props);
+
+        return this.AnimalDb.restoreAnimal(animal, opts);
+    },
+
+
+    /**
+     * Permanently deletes trashed animals with their revisions, medical records and notes
+     * @param {Object} props
+     * @param {Object} [options]
+     * @param {Date} [options.trashedBefore] only deletes animals trashed before this date
+     * @returns {Promise.<String[]>} the ids of the deleted animals
+     */
+    purgeAnimals: function (props, options) {
+        var self = this;
+        var speciesProp = props.species || _.find(props, {key: 'species'});
+        var speciesName = speciesProp ? speciesProp.val || speciesProp : Date.now(); // use invalid non-reoccuring name on species look failure
+        var opts = _.defaults(options, {
+            species: this.speciesCache[speciesName]
+        });
+
+        return this.AnimalDb.purgeAnimals(props, opts)
+            .then(function (petIds) {
+                return Promise.all([
+                        self.AnimalRevisionDb.removeRevisions(petIds),
+                        self.MedicalRecordDb.removeRecords(petIds),
+                        self.AnimalNoteDb.removeNotes(petIds)
+                    ])
+                    .then(function () {
+                        return petIds;
+                    });
+            });
+    },
+
+
+    /**
+     * Periodically purges animals that have been in the trash longer than the retention period
+     * @param {Object} [options]
+     * @param {Number} [options.retentionDays=30] days to keep trashed animals. Trashed animals are kept indefinitely when `0`
+     * @param {Number} [options.interval=3600000] time between purges (in ms)
+     */
+    scheduleTrashPurge: function (options) {
+        var self = this;
+        var opts = _.defaults(options, {
+            retentionDays: 30,
+            interval: 60 * 60 * 1000
+        });
+        var retentionDays = parseFloat(opts.retentionDays);
+        var purgeExpiredAnimals = function () {
+            var trashedBefore = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+            self.purgeAnimals({}, {trashedBefore: trashedBefore})
+                .then(function (petIds) {
+                    if (petIds.length > 0) log('purged %d trashed animals', petIds.length);
+                })
+                .catch(function (err) {
+                    console.error(err);
+                });
+        };
+
+        clearInterval(this._trashPurgeTimer);
+
+        if (!(retentionDays > 0)) {
+            return;
+        }
+
+        purgeExpiredAnimals();
+        this._trashPurgeTimer = setInterval(purgeExpiredAnimals, opts.interval);
+        // do not keep the process alive only to purge the trash
+        this._trashPurgeTimer.unref();
+    },
+
+
+    /**
+     * Saves the animal and records the saved props as a new revision
      * @param {String} speciesName
      * @param {Object} props
      * @param {Object} [options]
      * @param {Function} [options.complete]
+     * @param {String} [options.userId] id of the user saving the animal
      * @returns {Promise}
      */
     saveAnimal: function (speciesName, props, options) {
+        var self = this;
         var opts = _.defaults(options, {
-            species: this.speciesCache[speciesName] // reuse cached species instance
+            species: this.speciesCache[speciesName], // reuse cached species instance
+            userId: null
         });
         var animal = new Animal(opts.species, props);
+        var petId = animal.getId();
 
-        return this.AnimalDb.saveAnimal(animal, opts);
+        return (petId ? this.saveInitialRevision(petId) : Promise.resolve())
+            .then(function () {
+                return self.AnimalDb.saveAnimal(animal, opts);
+            })
+            .then(function (savedAnimal) {
+                var savedPetId = savedAnimal.petId && (savedAnimal.petId.val || savedAnimal.petId);
+
+                return self.AnimalDb.findOne({_id: savedPetId})
+                    .then(function (animalDoc) {
+                        return self.AnimalRevisionDb.saveRevision(animalDoc, {userId: opts.userId});
+                    })
+                    .then(function () {
+                        return savedAnimal;
+                    });
+            });
+    },
+
+
+    /**
+     * Records the current props of an animal saved before revisions were kept
+     * @param {String} petId
+     * @returns {Promise}
+     */
+    saveInitialRevision: function (petId) {
+        var self = this;
 
+        return this.AnimalRevisionDb.countRevisions(petId)
+            .then(function (revisionCount) {
+                if (revisionCount > 0) {
+                    return Promise.resolve();
+                }
+
+                return self.AnimalDb.findOne(self.AnimalDb.toIdQuery(petId))
+                    .then(function (animalDoc) {
+                        return self.AnimalRevisionDb.saveRevision(animalDoc);
+                    }, function () {
+                        // nothing to record for new animals
+                        return Promise.resolve();
+                    });
+            });
+    },
+
+
+    /**
+     *
+     * @param {String} petId
+     * @returns {Promise.<Object[]>} - revisions of the animal, newest first
+     */
+    findAnimalRevisions: function (petId) {
+        return this.AnimalRevisionDb.findRevisions(petId);
+    },
+
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} fromRevisionId
+     * @param {String} toRevisionId
+     * @returns {Promise.<{from: Object, to: Object, changes: Object[]}>}
+     */
+    diffAnimalRevisions: function (petId, fromRevisionId, toRevisionId) {
+        var self = this;
+
+        return Promise.all([
+                this.AnimalRevisionDb.findRevision(petId, fromRevisionId),
+                this.AnimalRevisionDb.findRevision(petId, toRevisionId)
+            ])
+            .then(function (revisions) {
+                return {
+                    from: _.omit(revisions[0], 'props'),
+                    to: _.omit(revisions[1], 'props'),
+                    changes: self.AnimalRevisionDb.diffRevisions(revisions[0], revisions[1])
+                };
+            });
+    },
+
+
+    /**
+     * Saves the props of a revision as the current version of the animal
+     * @param {String} speciesName
+     * @param {String} petId
+     * @param {String} revisionId
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user restoring the animal
+     * @returns {Promise}
+     */
+    restoreAnimalRevision: function (speciesName, petId, revisionId, options) {
+        var self = this;
+
+        return this.AnimalRevisionDb.findRevision(petId, revisionId)
+            .then(function (revision) {
+                var values = _.reduce(revision.props, function (collection, propData) {
+                    collection[propData.key] = propData.val;
+                    return collection;
+                }, {});
+
+                values.petId = petId;
+
+                return self.saveAnimal(speciesName, values, options);
+            });
     },
 
 
@@ -300,6 +1281,9 @@ MongoAPIDatabase.prototype = {
      * @param {Object} props
      * @param {Object} [options]
      * @param {Boolean} [options.isV1Format=true]
+     * @param {Number} [options.pageNumber]
+     * @param {Number} [options.pageSize]
+     * @param {Boolean} [options.expandRelated] whether to include the related animals with the relationships of each animal
      */
     findAnimals: function (props, options) {
         var speciesProp = props.species || _.find(props, {key: 'species'});
@@ -311,12 +1295,66 @@ MongoAPIDatabase.prototype = {
         return this.AnimalDb.findAnimals(props, opts);
     },
 
+    /**
+     *
+     * @param {Object} props
+     * @param {Object} [options]
+     * @returns {Promise.<Number>}
+     */
+    countAnimals: function (props, options) {
+        var speciesProp = props.species || _.find(props, {key: 'species'});
+        var speciesName = speciesProp ? speciesProp.val || speciesProp : Date.now(); // use invalid non-reoccuring name on species look failure
+        var opts = _.defaults(options, {
+            species: this.speciesCache[speciesName]
+        });
+
+        return this.AnimalDb.countAnimals(props, opts);
+    },
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {Object} props
+     * @param {Object} [options]
+     * @param {String[]} [options.propNames] names of the props to count. Defaults to all props with options
+     * @returns {Promise.<Object>} the number of matching animals per option, keyed by prop name (ie `{size: {Small: 12}}`)
+     */
+    findFacets: function (speciesName, props, options) {
+        var self = this;
+        var opts = _.defaults(options, {});
+
+        return this.findSpecies(speciesName)
+            .then(function (speciesData) {
+                var species = new Species(speciesName, speciesData.props);
+                var queryProps = _.isArray(props) ? props.concat({key: 'species', val: speciesName}) : _.defaults({species: speciesName}, props);
+                var facetProps = _.filter(species.getSpeciesProps(), function (propData) {
+                    return propData.options && propData.options.length > 0 && (!opts.propNames || _.includes(opts.propNames, propData.key));
+                });
+
+                return self.AnimalDb.countPropValues(queryProps, {species: species, propNames: _.map(facetProps, 'key')})
+                    .then(function (propValueCounts) {
+                        return _.reduce(facetProps, function (facets, propData) {
+                            facets[propData.key] = _.reduce(propData.options, function (optionCounts, option) {
+                                optionCounts[option] = _.get(propValueCounts, [propData.key, option], 0);
+                                return optionCounts;
+                            }, {});
+                            return facets;
+                        }, {});
+                    });
+            });
+    },
+
     /**
      *
      * @returns {Promise}
      */
     clearAnimals: function () {
-        return this.AnimalDb.clear()
+        return Promise.all([
+            this.AnimalDb.clear(),
+            this.AnimalRevisionDb.clear(),
+            this.MedicalRecordDb.clear(),
+            this.AnimalNoteDb.clear()
+        ])
     },
     /**
      *
@@ -333,10 +1371,15 @@ MongoAPIDatabase.prototype = {
     stop: function () {
         var dbs = [
             this.AnimalDb,
+            this.AnimalRevisionDb,
+            this.MedicalRecordDb,
+            this.AnimalNoteDb,
             this.UserDb,
             this.SpeciesCollectionDb
         ];
 
+        clearInterval(this._trashPurgeTimer);
+
         return Promise.all(dbs.map(function (db) {
             return db.stop()
         }))
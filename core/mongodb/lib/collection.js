@@ -137,6 +137,10 @@ Collection.prototype = {
             }
         }
 
+        (this.indexes || []).forEach(function (indexData) {
+            this.mongooseSchema.index(indexData.fields, indexData.options);
+        }, this);
+
         for (var pluginMethodName in this.plugins) {
             if (this.plugins.hasOwnProperty(pluginMethodName)) {
                 this.mongooseSchema.plugin(this.plugins[pluginMethodName]);
@@ -175,6 +179,16 @@ Collection.prototype = {
         this.plugins[pluginName] = pluginFunc;
     },
 
+    /**
+     *
+     * @param {Object} fields fields to index (ie `{petId: 1}`)
+     * @param {Object} [options] mongodb index options
+     */
+    addIndex: function (fields, options) {
+        this.indexes = this.indexes || []; // init if not created
+        this.indexes.push({fields: fields, options: options});
+    },
+
     /**
      *
      * @param {String} middlewareName will either be 'pre' or 'post'
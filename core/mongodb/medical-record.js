@@ -0,0 +1,234 @@
+var _ = require('lodash');
+
+var config = require('../config');
+var AnimalAudit = require('../lib/animal-audit');
+
+var BaseDatabase = require('./lib/database');
+var Collection = require('./lib/collection');
+var DbError = require('./lib/error');
+var MedicalRecordSchema = require('./schemas/medical-record');
+
+/**
+ * Keeps the vaccinations, tests, medications and procedures of each animal
+ * @extends BaseDatabase
+ * @class MedicalRecordDatabase
+ * @param {Object} [options]
+ * @param {String} [options.collectionNamePrefix]
+ * @constructor
+ */
+function MedicalRecordDatabase(options) {
+    var _options = _.defaults(options, {
+        collectionNamePrefix: config.DEVELOPMENT_ENV ? 'dev_' : 'prod_'
+    });
+    var collection = new Collection(_options.collectionNamePrefix + 'medical_record', MedicalRecordSchema);
+
+    collection.addIndex({petId: 1, date: -1});
+    collection.addIndex({dueDate: 1});
+
+    BaseDatabase.call(this, collection);
+
+    this.initDatabase();
+}
+
+MedicalRecordDatabase.prototype = {
+
+    /**
+     *
+     * @param {String} petId
+     * @param {Object} [options]
+     * @param {String} [options.category] only finds records of this category
+     * @returns {Promise.<Object[]>} - records of the animal, most recent first
+     */
+    findRecords: function (petId, options) {
+        var self = this;
+        var opts = _.defaults(options, {category: null});
+        var recordQuery = {petId: petId};
+
+        if (opts.category) {
+            recordQuery.category = opts.category;
+        }
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .find(recordQuery)
+                    .sort({date: -1, _id: -1})
+                    .lean()
+                    .exec(function (err, records) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(records);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} recordId
+     * @returns {Promise.<Object>}
+     */
+    findRecord: function (petId, recordId) {
+        return this.findOne({petId: petId, _id: recordId});
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} speciesName
+     * @param {Object} recordFields - see MedicalRecord.toRecordFields
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user saving the record
+     * @returns {Promise.<Object>}
+     */
+    createRecord: function (petId, speciesName, recordFields, options) {
+        var opts = _.defaults(options, {userId: null});
+
+        return this.create(_.assign({
+            petId: petId,
+            speciesName: speciesName
+        }, recordFields, AnimalAudit.toDocFields(opts.userId)));
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} recordId
+     * @param {Object} recordFields - the fields to change (see MedicalRecord.toRecordFields)
+     * @param {Object} [options]
+     * @param {String} [options.userId] id of the user saving the record
+     * @returns {Promise.<Object>}
+     */
+    updateRecord: function (petId, recordId, recordFields, options) {
+        var self = this;
+        var opts = _.defaults(options, {userId: null});
+        var auditFields = _.pick(AnimalAudit.toDocFields(opts.userId), ['updatedAt', 'updatedBy']);
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOneAndUpdate({petId: petId, _id: recordId}, {$set: _.assign({}, recordFields, auditFields)}, {new: true})
+                    .lean()
+                    .exec(function (err, record) {
+                        if (err || !record) {
+                            err = new DbError(err || 'Medical record not found');
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(record);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} petId
+     * @param {String} recordId
+     * @returns {Promise.<Object>} - the removed record
+     */
+    removeRecord: function (petId, recordId) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOneAndRemove({petId: petId, _id: recordId})
+                    .lean()
+                    .exec(function (err, record) {
+                        if (err || !record) {
+                            err = new DbError(err || 'Medical record not found');
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(record);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String[]} petIds
+     * @returns {Promise}
+     */
+    removeRecords: function (petIds) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel.remove({petId: {$in: petIds}}, function (err) {
+                    if (err) {
+                        err = new DbError(err);
+                        console.error(err);
+                        reject(err);
+                        return;
+                    }
+
+                    resolve();
+                });
+            });
+        });
+    },
+
+    /**
+     * Finds the records that are due by a date. Only the latest record of each vaccination, test, etc. of an animal
+     * is checked, since an earlier record is no longer due once it has been given again
+     * @param {Date} dueBefore
+     * @param {Object} [options]
+     * @param {String} [options.speciesName] only finds records of animals of this species
+     * @returns {Promise.<Object[]>} - the records, soonest due first
+     */
+    findDueRecords: function (dueBefore, options) {
+        var self = this;
+        var opts = _.defaults(options, {speciesName: null});
+        var recordQuery = {dueDate: {$ne: null}};
+
+        if (opts.speciesName) {
+            recordQuery.speciesName = opts.speciesName;
+        }
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .aggregate([
+                        {$match: recordQuery},
+                        {$sort: {date: -1, _id: -1}},
+                        {
+                            $group: {
+                                _id: {petId: '$petId', category: '$category', name: {$toLower: '$name'}},
+                                record: {$first: '$$ROOT'}
+                            }
+                        },
+                        {$replaceRoot: {newRoot: '$record'}},
+                        {$match: {dueDate: {$lte: dueBefore}}},
+                        {$sort: {dueDate: 1, _id: 1}}
+                    ])
+                    .exec(function (err, records) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(records);
+                    });
+            });
+        });
+    }
+};
+
+MedicalRecordDatabase.prototype = Object.assign({}, BaseDatabase.prototype, MedicalRecordDatabase.prototype);
+
+module.exports = MedicalRecordDatabase;
@@ -0,0 +1,15 @@
+module.exports = {
+    petId: String,
+    speciesName: String,
+    // general, behavior, call or adoption (see AnimalNote)
+    category: String,
+    // internal or public
+    visibility: String,
+    text: String,
+    // the user that wrote the note
+    createdBy: String,
+    authorName: String,
+    createdAt: Date,
+    updatedAt: Date,
+    updatedBy: String
+};
@@ -0,0 +1,11 @@
+var mongoose = require('mongoose'),
+    AnimalProp = new mongoose.Schema(require('./animal-prop'));
+
+module.exports = {
+    petId: String,
+    speciesName: String,
+    // id of the user who saved this version of the animal
+    userId: String,
+    timestamp: Date,
+    props: [AnimalProp]
+};
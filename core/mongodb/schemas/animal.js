@@ -3,5 +3,39 @@ var mongoose = require('mongoose'),
 
 module.exports = {
     petId: String,
-    props: [AnimalProp]
+    // copy of the species prop, to match the animals of a species without searching their props
+    speciesName: String,
+    // assigned on the first save from a per-species counter (see AnimalReference)
+    referenceCode: String,
+    // GeoJSON points built from Location props (see Animal.getLocations)
+    locations: mongoose.Schema.Types.Mixed,
+    // copies of text props used for full-text search, with a field per text search weight (see AnimalDatabase)
+    searchText: {},
+    props: [AnimalProp],
+    // incremented on each save to detect saves of outdated copies
+    version: Number,
+    // who saved the animal and when (see AnimalAudit)
+    createdAt: Date,
+    createdBy: String,
+    updatedAt: Date,
+    updatedBy: String,
+    // adoption status, only changed through status transitions (see AnimalStatus)
+    status: String,
+    statusHistory: [{
+        from: String,
+        to: String,
+        timestamp: Date,
+        userId: String,
+        reason: String
+    }],
+    // links to other animals, recorded on both animals (see AnimalRelationship)
+    relationships: [{
+        type: {type: String},
+        petId: String,
+        createdAt: Date,
+        createdBy: String
+    }],
+    // set when the animal is moved to the trash
+    trashedAt: Date,
+    trashedBy: String
 };
\ No newline at end of file
@@ -0,0 +1,5 @@
+module.exports = {
+    // what is being counted (ie the prefix and year of reference codes)
+    name: String,
+    seq: Number
+};
@@ -0,0 +1,17 @@
+module.exports = {
+    petId: String,
+    speciesName: String,
+    // vaccination, test, medication or procedure (see MedicalRecord)
+    category: String,
+    name: String,
+    // when it was given or done
+    date: Date,
+    // when it is next due (ie a booster)
+    dueDate: Date,
+    vet: String,
+    notes: String,
+    createdAt: Date,
+    createdBy: String,
+    updatedAt: Date,
+    updatedBy: String
+};
@@ -3,5 +3,7 @@ var mongoose = require("mongoose"),
 
 module.exports = {
     speciesList: [SpeciesSchema],
-    timestamp: Date
+    timestamp: Date,
+    // incremented with each saved copy of the collection
+    revision: Number
 };
@@ -4,5 +4,7 @@ var mongoose = require("mongoose"),
 module.exports = {
     speciesName: String,
     timestamp: Date,
-    props: [SpeciesProp]
+    props: [SpeciesProp],
+    // incremented on each save to detect saves of outdated copies
+    version: Number
 };
@@ -15,5 +15,10 @@ module.exports = {
     defaults: [{
         key: String,
         val: Schema.Types.Mixed
+    }],
+    searches: [{
+        name: String,
+        query: Schema.Types.Mixed,
+        createdAt: Date
     }]
 };
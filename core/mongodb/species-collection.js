@@ -3,6 +3,7 @@ var _ = require('lodash');
 var config = require('../config');
 
 var Collection = require('./lib/collection');
+var DbError = require('./lib/error');
 var TimestampedDatabase = require('./lib/timestamped-database');
 var SpeciesCollectionSchema = require('./schemas/species-collection');
 
@@ -20,12 +21,214 @@ function SpeciesCollectionDatabase(options) {
     });
     var collection = new Collection(_options.collectionNamePrefix + 'species_collection', SpeciesCollectionSchema);
 
+    // only one species collection can be saved after each revision
+    collection.addIndex({revision: 1}, {unique: true, sparse: true});
+
     TimestampedDatabase.call(this, collection);
 
     this.initDatabase();
 }
 
-SpeciesCollectionDatabase.prototype = {};
+SpeciesCollectionDatabase.prototype = {
+
+    /**
+     * Saves a changed copy of a species collection as the next revision
+     * @param {Object} speciesCollectionDoc the species collection that was changed
+     * @returns {Promise.<Object>} rejects with a 409 when another revision was saved after the changed one
+     */
+    saveRevision: function (speciesCollectionDoc) {
+        var newSpeciesCollectionDoc = _.assign(_.omit(speciesCollectionDoc, ['_id', '__v']), {
+            revision: (speciesCollectionDoc.revision || 0) + 1
+        });
+
+        return this.create(newSpeciesCollectionDoc)
+            .catch(function (err) {
+                if (err.code === 11000) {
+                    return Promise.reject(new DbError('Species were changed by another request', 409));
+                }
+
+                return Promise.reject(err);
+            });
+    },
+
+    /**
+     * Finds each saved version of a species, from the revisions of the species collection that include it
+     * @param {String} speciesName
+     * @returns {Promise.<Object[]>} - the species docs, newest first, each with the `_id`, `revision` and `timestamp` of the
+     * species collection it was first saved in
+     */
+    findSpeciesVersions: function (speciesName) {
+        var self = this;
+        var toComparableProps = function (speciesDoc) {
+            return _.map(speciesDoc.props, function (propData) {
+                return _.omit(propData, '_id');
+            });
+        };
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .find({'speciesList.speciesName': speciesName}, {
+                        timestamp: 1,
+                        revision: 1,
+                        speciesList: {$elemMatch: {speciesName: speciesName}}
+                    })
+                    .sort({timestamp: 1})
+                    .lean()
+                    .exec(function (err, speciesCollectionDocs) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(_.reduce(speciesCollectionDocs, function (speciesVersions, speciesCollectionDoc) {
+                            var speciesDoc = speciesCollectionDoc.speciesList[0];
+                            var lastSpeciesVersion = speciesVersions[0];
+
+                            // only other species were changed in this revision
+                            if (lastSpeciesVersion && lastSpeciesVersion.version === speciesDoc.version && _.isEqual(toComparableProps(lastSpeciesVersion), toComparableProps(speciesDoc))) {
+                                return speciesVersions;
+                            }
+
+                            speciesVersions.unshift(_.assign(_.omit(speciesDoc, '_id'), {
+                                _id: speciesCollectionDoc._id,
+                                revision: speciesCollectionDoc.revision,
+                                timestamp: speciesCollectionDoc.timestamp
+                            }));
+                            return speciesVersions;
+                        }, []));
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String} versionId - the `_id` of the species collection revision
+     * @returns {Promise.<Object>} - the species doc in the revision
+     */
+    findSpeciesVersion: function (speciesName, versionId) {
+        return this.findOne({_id: versionId})
+            .then(function (speciesCollectionDoc) {
+                var speciesDoc = _.find(speciesCollectionDoc.speciesList, {speciesName: speciesName});
+
+                if (!speciesDoc) {
+                    return Promise.reject(new DbError('Species version not found'));
+                }
+
+                return _.assign(_.omit(speciesDoc, '_id'), {
+                    _id: speciesCollectionDoc._id,
+                    revision: speciesCollectionDoc.revision,
+                    timestamp: speciesCollectionDoc.timestamp
+                });
+            });
+    },
+
+    /**
+     *
+     * @param {Object} fromSpeciesDoc
+     * @param {Object} toSpeciesDoc
+     * @returns {{key: String, change: String, fields: Object[], addedOptions: Array, removedOptions: Array}[]} - each prop that
+     * was `added`, `removed` or `changed`, with the fields that changed (ie `{field: 'fieldLabel', from: 'Size', to: 'Weight'}`)
+     * and the options added to or removed from a changed prop
+     */
+    diffSpecies: function (fromSpeciesDoc, toSpeciesDoc) {
+        var fromProps = _.keyBy(fromSpeciesDoc.props, 'key');
+        var toProps = _.keyBy(toSpeciesDoc.props, 'key');
+
+        return _.chain(_.keys(fromProps))
+            .union(_.keys(toProps))
+            .map(function (propName) {
+                var fromProp = fromProps[propName];
+                var toProp = toProps[propName];
+                var fields;
+                var addedOptions;
+                var removedOptions;
+
+                if (!fromProp) {
+                    return {key: propName, change: 'added'};
+                }
+
+                if (!toProp) {
+                    return {key: propName, change: 'removed'};
+                }
+
+                fields = _.chain(_.keys(fromProp))
+                    .union(_.keys(toProp))
+                    .difference(['_id', 'key', 'options'])
+                    .reject(function (fieldName) {
+                        return _.isEqual(fromProp[fieldName], toProp[fieldName]);
+                    })
+                    .map(function (fieldName) {
+                        return {field: fieldName, from: _.isUndefined(fromProp[fieldName]) ? null : fromProp[fieldName], to: _.isUndefined(toProp[fieldName]) ? null : toProp[fieldName]};
+                    })
+                    .value();
+                addedOptions = _.differenceWith(toProp.options, fromProp.options, _.isEqual);
+                removedOptions = _.differenceWith(fromProp.options, toProp.options, _.isEqual);
+
+                if (fields.length === 0 && addedOptions.length === 0 && removedOptions.length === 0) {
+                    return null;
+                }
+
+                return {
+                    key: propName,
+                    change: 'changed',
+                    fields: fields,
+                    addedOptions: addedOptions,
+                    removedOptions: removedOptions
+                };
+            })
+            .compact()
+            .value();
+    },
+
+    /**
+     * Deletes the oldest revisions of the species collection
+     * @param {Number} keepCount - the number of the newest revisions to keep
+     * @returns {Promise}
+     */
+    pruneRevisions: function (keepCount) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .find({}, {timestamp: 1})
+                    .sort({timestamp: -1})
+                    .skip(keepCount - 1)
+                    .limit(1)
+                    .lean()
+                    .exec(function (err, speciesCollectionDocs) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        if (speciesCollectionDocs.length === 0) {
+                            resolve();
+                            return;
+                        }
+
+                        self.MongooseModel.remove({timestamp: {$lt: speciesCollectionDocs[0].timestamp}}, function (err) {
+                            if (err) {
+                                err = new DbError(err);
+                                console.error(err);
+                                reject(err);
+                                return;
+                            }
+
+                            resolve();
+                        });
+                    });
+            });
+        });
+    }
+};
 
 SpeciesCollectionDatabase.prototype = Object.assign({}, TimestampedDatabase.prototype, SpeciesCollectionDatabase.prototype);
 
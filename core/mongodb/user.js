@@ -1,6 +1,8 @@
 var _ = require('lodash'),
+    mongoose = require('mongoose'),
 
     BaseDatabase = require('./lib/database'),
+    DbError = require('./lib/error'),
     config = require('../config'),
 
     Collection = require('./lib/collection'),
@@ -26,7 +28,128 @@ function UserDatabase(options) {
     this.initDatabase();
 }
 
-UserDatabase.prototype = {};
+UserDatabase.prototype = {
+
+    /**
+     *
+     * @param {String} userId
+     * @returns {Promise.<Object[]>}
+     */
+    findSearches: function (userId) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOne({id: userId}, {searches: 1})
+                    .lean()
+                    .exec(function (err, userDoc) {
+                        if (err) {
+                            err = new DbError(err);
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve((userDoc && userDoc.searches) || []);
+                    });
+            });
+        });
+    },
+
+    /**
+     * Adds a saved search to the user, or updates the saved search when `searchData._id` is provided
+     * @param {String} userId
+     * @param {Object} searchData
+     * @param {String} [searchData._id]
+     * @param {String} searchData.name
+     * @param {Object|Object[]} searchData.query
+     * @returns {Promise.<Object>} the saved search
+     */
+    saveSearch: function (userId, searchData) {
+        var self = this;
+        var searchId = searchData._id ? String(searchData._id) : String(new mongoose.Types.ObjectId());
+        var whereProps = {id: userId};
+        var updateProps;
+        var updateOptions = {new: true};
+
+        if (searchData._id) {
+            whereProps['searches._id'] = searchId;
+            updateProps = {
+                $set: {
+                    'searches.$.name': searchData.name,
+                    'searches.$.query': searchData.query
+                }
+            };
+        } else {
+            updateProps = {
+                $push: {
+                    searches: {
+                        _id: searchId,
+                        name: searchData.name,
+                        query: searchData.query,
+                        createdAt: new Date()
+                    }
+                }
+            };
+            updateOptions.upsert = true;
+        }
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOneAndUpdate(whereProps, updateProps, updateOptions)
+                    .lean()
+                    .exec(function (err, userDoc) {
+                        var savedSearch = userDoc && _.find(userDoc.searches, function (search) {
+                                return String(search._id) === searchId;
+                            });
+
+                        if (err || !savedSearch) {
+                            err = new DbError(err || 'Saved search not found');
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(savedSearch);
+                    });
+            });
+        });
+    },
+
+    /**
+     *
+     * @param {String} userId
+     * @param {String} searchId
+     * @returns {Promise.<Object>} the removed search
+     */
+    removeSearch: function (userId, searchId) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self.exec(function () {
+                self.MongooseModel
+                    .findOneAndUpdate({id: userId, 'searches._id': searchId}, {$pull: {searches: {_id: searchId}}})
+                    .lean()
+                    .exec(function (err, userDoc) {
+                        var removedSearch = userDoc && _.find(userDoc.searches, function (search) {
+                                return String(search._id) === String(searchId);
+                            });
+
+                        if (err || !removedSearch) {
+                            err = new DbError(err || 'Saved search not found');
+                            console.error(err);
+                            reject(err);
+                            return;
+                        }
+
+                        resolve(removedSearch);
+                    });
+            });
+        });
+    }
+};
 
 _.defaults(UserDatabase.prototype, BaseDatabase.prototype);
 
@@ -6,10 +6,20 @@ var stream = require('stream');
 
 var _ = require('lodash');
 var async = require('async');
+var csv = require('csv');
 var multer = require('multer');
 var sharp = require('sharp');
 
 var config = require('../../config');
+var Animal = require('../../lib/animal');
+var AnimalNote = require('../../lib/animal-note');
+var AnimalQuery = require('../../lib/query');
+var AnimalRelationship = require('../../lib/animal-relationship');
+var AnimalStats = require('../../lib/animal-stats');
+var AnimalStatus = require('../../lib/animal-status');
+var MedicalRecord = require('../../lib/medical-record');
+var Species = require('../../lib/species');
+var SpeciesMigration = require('../../lib/species-migration');
 var S3Bucket = require('../../s3');
 var DbFormatter = require('../utils/formatter');
 var CSVImporter = require('../../csv-importer');
@@ -51,6 +61,61 @@ APIController.prototype = {
         return this.database.getSpeciesList()
     },
 
+    /**
+     * Finds the requested page of animals and sets `res.locals.pagination` when a page number is provided
+     * @param {Object} queryData
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Object} [options] additional find options (ie `{isTrashed: true}`)
+     * @returns {Promise.<Object[]>}
+     */
+    findAnimalsPage: function (queryData, req, res, options) {
+        var pageNumber = parseInt(req.params.pageNumber);
+        var findOptions;
+
+        res.locals.pageNumber = req.params.pageNumber;
+
+        if (!_.isFinite(pageNumber)) {
+            return this.database.findAnimals(queryData, _.clone(options));
+        }
+
+        findOptions = _.assign({
+            pageNumber: Math.max(pageNumber, 1),
+            pageSize: parseInt(req.query.pageSize || req.body.pageSize) || this._apiOptions.pageSize
+        }, options);
+
+        return Promise.all([
+                this.database.findAnimals(queryData, findOptions),
+                this.database.countAnimals(queryData, _.clone(options))
+            ])
+            .then(function (results) {
+                res.locals.pagination = {
+                    pageNumber: findOptions.pageNumber,
+                    pageSize: findOptions.pageSize,
+                    total: results[1]
+                };
+
+                return results[0];
+            });
+    },
+
+    /**
+     * Loads the species so that query string values can be converted to their prop types
+     * @param {String} [speciesName]
+     * @returns {Promise} resolves even if the species does not exist
+     */
+    loadSpecies: function (speciesName) {
+        if (!(speciesName && _.isString(speciesName))) {
+            return Promise.resolve(null);
+        }
+
+        return this.database.findSpecies(speciesName)
+            .catch(function () {
+                // unknown species simply match no animals
+                return null;
+            });
+    },
+
     onUserUpdate: function () {
         var self = this;
         return function (req, res, next) {
@@ -135,6 +200,166 @@ APIController.prototype = {
         }
     },
 
+    /**
+     *
+     * @param {Object} req
+     * @returns {String|null} - the id of the requesting user (`'dev'` in development environments)
+     */
+    getUserId: function (req) {
+        var userId = req.user && req.user.id;
+
+        if (!userId && config.DEVELOPMENT_ENV) {
+            return 'dev';
+        }
+
+        return userId || null;
+    },
+
+    /**
+     *
+     * @param {Object} req
+     * @returns {String|null} - the full name of the logged in user, or their id when they have no name
+     */
+    getUserName: function (req) {
+        var userName = req.user && _.compact([req.user.firstName, req.user.lastName]).join(' ');
+
+        return userName || this.getUserId(req);
+    },
+
+    /**
+     *
+     * @param {Object} req
+     * @returns {Boolean} - whether the request is made by a logged in user (see AuthController.readAuth)
+     */
+    isAuthenticated: function (req) {
+        return config.DEVELOPMENT_ENV || !!(req.isAuthenticated && req.isAuthenticated());
+    },
+
+    onUserSearchesRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var userId = self.getUserId(req);
+
+            if (!userId) {
+                next(Object.assign(new Error('Unauthorized'), {status: 401}));
+                return;
+            }
+
+            self.database.findUserSearches(userId)
+                .then(function (searches) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = searches;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onUserSearchRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var userId = self.getUserId(req);
+
+            if (!userId) {
+                next(Object.assign(new Error('Unauthorized'), {status: 401}));
+                return;
+            }
+
+            self.database.findUserSearch(userId, req.params.searchId)
+                .then(function (search) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = search;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onUserSearchSave: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var userId = self.getUserId(req);
+            var searchData = _.pick(req.body, ['name', 'query']);
+
+            if (!userId) {
+                next(Object.assign(new Error('Unauthorized'), {status: 401}));
+                return;
+            }
+
+            if (!(_.isString(searchData.name) && searchData.name.trim() && _.isObject(searchData.query))) {
+                next(Object.assign(new Error('A saved search requires a name and query'), {status: 400}));
+                return;
+            }
+
+            searchData._id = req.params.searchId;
+
+            self.database.saveUserSearch(userId, searchData)
+                .then(function (search) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = search;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onUserSearchRemove: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var userId = self.getUserId(req);
+
+            if (!userId) {
+                next(Object.assign(new Error('Unauthorized'), {status: 401}));
+                return;
+            }
+
+            self.database.removeUserSearch(userId, req.params.searchId)
+                .then(function (search) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = search;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onUserSearchRun: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var userId = self.getUserId(req);
+
+            if (!userId) {
+                next(Object.assign(new Error('Unauthorized'), {status: 401}));
+                return;
+            }
+
+            self.database.findUserSearch(userId, req.params.searchId)
+                .then(function (search) {
+                    var queryData = _.cloneDeep(search.query);
+                    var speciesProp = _.isArray(queryData) ? _.find(queryData, {key: 'species'}) : queryData.species;
+
+                    return self.loadSpecies(speciesProp && (speciesProp.val || speciesProp))
+                        .then(function () {
+                            return self.findAnimalsPage(queryData, req, res);
+                        });
+                })
+                .then(function (animals) {
+                    res.locals.data = animals || [];
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
     onSpeciesListRequest: function () {
         var self = this;
         return function (req, res, next) {
@@ -151,9 +376,12 @@ APIController.prototype = {
 
         return function (req, res, next) {
 
-            res.locals.pageNumber = req.params.pageNumber;
+            var queryData = _.defaults({species: req.params.speciesName}, req.query);
 
-            self.database.findAnimals({species: req.params.speciesName})
+            self.loadSpecies(req.params.speciesName)
+                .then(function () {
+                    return self.findAnimalsPage(queryData, req, res);
+                })
                 .then(function (animals) {
 
                     res.locals.data = [];
@@ -172,9 +400,12 @@ APIController.prototype = {
         var self = this;
 
         return function (req, res, next) {
-            res.locals.pageNumber = req.params.pageNumber;
+            var queryData = _.clone(req.query);
 
-            self.database.findAnimals({})
+            self.loadSpecies(queryData.species)
+                .then(function () {
+                    return self.findAnimalsPage(queryData, req, res);
+                })
                 .then(function (animals) {
 
                     res.locals.data = animals || [];
@@ -190,9 +421,7 @@ APIController.prototype = {
         return function (req, res, next) {
             var queryData = req.body;
 
-            res.locals.pageNumber = req.params.pageNumber;
-
-            self.database.findAnimals(queryData)
+            self.findAnimalsPage(queryData, req, res)
                 .then(function (animals) {
 
                     res.locals.data = [];
@@ -208,6 +437,233 @@ APIController.prototype = {
         }
     },
 
+    onFacetsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var queryData = req.body;
+            var facetOptions = {
+                propNames: res.locals.requestedProperties || undefined
+            };
+
+            self.database.findFacets(req.params.speciesName, queryData, facetOptions)
+                .then(function (facets) {
+
+                    res.locals.simplifiedFormat = false;
+                    // requested properties have already been applied to the facets
+                    res.locals.requestedProperties = false;
+                    res.locals.data = facets;
+
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    /**
+     * Responds with a 400 listing all invalid query props when strict mode is requested
+     * (via a `strict` query field or `?strict=true`)
+     * @returns {Function}
+     */
+    validateQuery: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var queryData = req.method === 'GET' ? req.query : req.body;
+            var isStrict = new AnimalQuery(queryData).isStrict() || /^\s*(y|yes|true)\s*$/i.test(req.query.strict);
+            var speciesProp = _.isArray(queryData) ? _.find(queryData, {key: 'species'}) : queryData.species;
+            var speciesName = req.params.speciesName !== 'all' && req.params.speciesName || (speciesProp && (speciesProp.val || speciesProp));
+
+            if (!isStrict) {
+                next();
+                return;
+            }
+
+            (speciesName ? self.database.findSpecies(speciesName) : Promise.reject(new Error('No species provided')))
+                .then(function (speciesData) {
+                    return new Species(speciesData.speciesName, speciesData.props);
+                })
+                .catch(function () {
+                    // invalid species are reported by the validation
+                    return null;
+                })
+                .then(function (species) {
+                    var errors = new AnimalQuery(queryData, species).validate();
+
+                    if (errors.length > 0) {
+                        res.status(400).json({
+                            message: 'Invalid query',
+                            errors: errors
+                        });
+                        return;
+                    }
+
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    /**
+     *
+     * @param {Object|Object[]} props v1 props, v2 values, or an array of v1 props
+     * @returns {Object} the prop values keyed by prop name
+     */
+    toAnimalValues: function (props) {
+        if (_.isArray(props)) {
+            return _.reduce(props, function (values, propData) {
+                values[propData.key] = propData.val;
+                return values;
+            }, {});
+        }
+
+        return _.mapValues(props, function (propValue) {
+            // accept v1 (prop data) or v2 (value) formats
+            return _.isPlainObject(propValue) && propValue.val !== undefined ? propValue.val : propValue;
+        });
+    },
+
+    /**
+     * Reads the version a save expects to replace from the `If-Match` header or a `version` field,
+     * as `res.locals.expectedVersion`
+     * @returns {Function}
+     */
+    readExpectedVersion: function () {
+        return function (req, res, next) {
+            // arrays of props can only be versioned with `If-Match`
+            var versionProp = _.isPlainObject(req.body) ? req.body.version : null;
+            var ifMatch = req.get('If-Match');
+            var version = ifMatch && ifMatch.trim() !== '*' ?
+                ifMatch.replace(/^\s*W\//, '').replace(/"/g, '') :
+                _.get(versionProp, 'val', versionProp);
+
+            if (_.isPlainObject(req.body)) {
+                // not a saved prop
+                delete req.body.version;
+            }
+
+            if (/^\s*\d+\s*$/.test(version)) {
+                res.locals.expectedVersion = parseInt(version);
+            }
+
+            next();
+        }
+    },
+
+    /**
+     *
+     * @param {Object} res
+     * @param {Number} version
+     */
+    setVersionTag: function (res, version) {
+        res.set('ETag', '"' + (version || 0) + '"');
+    },
+
+    /**
+     * Responds with a 409 and the current copy when a save replaces an outdated version
+     * @param {Object} res
+     * @param {Function} next
+     * @returns {Function}
+     */
+    onSaveError: function (res, next) {
+        var self = this;
+
+        return function (err) {
+            if (err.status !== 409 || !err.current) {
+                next(err);
+                return;
+            }
+
+            self.setVersionTag(res, _.get(err.current, 'version.val', err.current.version));
+            res.status(409).json({
+                message: err.message,
+                current: res.locals.simplifiedFormat && _.isPlainObject(err.current.petId) ? _.mapValues(err.current, 'val') : err.current
+            });
+        };
+    },
+
+    /**
+     * Responds with a 400 listing each invalid field when a saved animal does not match its species
+     * @returns {Function}
+     */
+    validateAnimal: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var petIdProp = _.isArray(req.body) ? _.find(req.body, {key: 'petId'}) : req.body.petId;
+            var animalValues = self.toAnimalValues(req.body);
+
+            self.database.findSpecies(req.params.speciesName)
+                .then(function (speciesData) {
+                    var species = new Species(speciesData.speciesName, speciesData.props);
+                    var errors = new Animal(species, animalValues).validate({
+                        isNew: !(petIdProp && (petIdProp.val || !_.isPlainObject(petIdProp)))
+                    });
+
+                    if (errors.length > 0) {
+                        res.status(400).json({
+                            message: 'Invalid animal',
+                            errors: errors
+                        });
+                        return;
+                    }
+
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    /**
+     * Responds with a 409 listing likely duplicates when a new animal matches saved animals,
+     * unless `allowDuplicate` is set
+     * @returns {Function}
+     */
+    rejectDuplicates: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var animalValues = self.toAnimalValues(req.body);
+            var allowDuplicate = animalValues.allowDuplicate || req.query.allowDuplicate;
+            var isDuplicateAllowed = /^\s*(y|yes|true)\s*$/i.test(allowDuplicate);
+            var petIdProp = _.isArray(req.body) ? _.find(req.body, {key: 'petId'}) : req.body.petId;
+
+            // not an animal prop
+            if (_.isArray(req.body)) {
+                _.remove(req.body, {key: 'allowDuplicate'});
+            } else {
+                delete req.body.allowDuplicate;
+            }
+
+            if (isDuplicateAllowed || (petIdProp && (petIdProp.val || !_.isPlainObject(petIdProp)))) {
+                next();
+                return;
+            }
+
+            self.loadSpecies(req.params.speciesName)
+                .then(function () {
+                    return self.database.findDuplicateAnimals(req.params.speciesName, _.omit(animalValues, 'allowDuplicate'));
+                })
+                .then(function (candidates) {
+                    if (candidates.length === 0) {
+                        next();
+                        return;
+                    }
+
+                    res.status(409).json({
+                        message: 'Possible duplicate animal. Save with `allowDuplicate` set to save anyway',
+                        candidates: candidates.map(function (candidate) {
+                            return {
+                                matchedBy: candidate.matchedBy,
+                                animal: res.locals.simplifiedFormat ? _.mapValues(candidate.animal, 'val') : candidate.animal
+                            };
+                        })
+                    });
+                })
+                .catch(next);
+        }
+    },
+
     onOptionsRequest: function () {
         var self = this;
 
@@ -236,6 +692,8 @@ APIController.prototype = {
             var species = req.params.speciesName;
             var optionName = req.params.option;
 
+            res.locals.pageNumber = req.params.pageNumber;
+
             self.database.findSpecies(species)
                 .then(function (speciesData) {
                     var speciesPropData;
@@ -258,6 +716,7 @@ APIController.prototype = {
             self.database.findSpecies(req.params.speciesName)
                 .then(function (speciesData) {
 
+                    self.setVersionTag(res, speciesData.version);
                     res.locals.simplifiedFormat = false;
                     res.locals.data = speciesData.props;
 
@@ -271,7 +730,7 @@ APIController.prototype = {
         var self = this;
         return function (req, res, next) {
 
-            self.database.removeAnimal(req.params.speciesName, req.body)
+            self.database.removeAnimal(req.params.speciesName, req.body, {userId: self.getUserId(req)})
                 .then(function (result) {
                     res.json(result)
                 })
@@ -279,67 +738,640 @@ APIController.prototype = {
         }
     },
 
-    onSaveAnimalJSON: function () {
+    onListTrashRequest: function () {
         var self = this;
+
         return function (req, res, next) {
+            var queryData = {species: req.params.speciesName};
 
-            self.database.saveAnimal(req.params.speciesName, req.body)
-                .then(function (newAnimal) {
-                    res.locals.simplifiedFormat = false;
-                    res.locals.data = newAnimal;
+            self.findAnimalsPage(queryData, req, res, {isTrashed: true})
+                .then(function (animals) {
+                    res.locals.data = animals || [];
                     next();
                 })
                 .catch(next);
         }
     },
 
-    saveSpeciesImage: function (species, fileMeta) {
-        var bufferStream = new stream.PassThrough();
-        var publicPath = path.join(this._apiOptions.paths.images, (species + '/'), fileMeta.originalname);
-        var imageFormatter = sharp()
-            .resize(null, this._apiOptions.maxImageHeight)
-            .withoutEnlargement();
-        var formattedBufferStream = bufferStream.pipe(imageFormatter);
+    onRestoreAnimal: function () {
+        var self = this;
 
-        bufferStream.end(fileMeta.buffer);
+        return function (req, res, next) {
 
-        return this.s3.saveReadableStream(formattedBufferStream, publicPath)
-            .then(function (result) {
-                return Promise.resolve(result.Location);
-            });
+            self.database.restoreAnimal(req.params.speciesName, req.body)
+                .then(function (result) {
+                    res.json(result)
+                })
+                .catch(next);
+        }
     },
 
-
-    onSaveAnimalForm: function () {
+    onPurgeAnimals: function () {
         var self = this;
-        return function (req, res, next) {
-            var animalData = req.body;
-            var imagesValue = animalData.images || '';
-            var files = req.files || [];
-            var fileUploads = files.map(function (fileMeta) {
-                return self.saveSpeciesImage(req.params.speciesName, fileMeta)
-            });
 
-            Promise.all(fileUploads)
-                .then(function (newImageUrls) {
+        return function (req, res, next) {
+            var queryData = {species: req.params.speciesName};
 
-                    animalData.images = _.chain(newImageUrls)
-                        .concat(imagesValue.split(','))
-                        .reject(function (url) {
-                            // reject falsey values and data images
-                            return !url || url.match(/^data:/);
-                        })
-                        .value();
+            if (req.body.petId) {
+                queryData.petId = req.body.petId;
+            }
 
-                    return self.database.saveAnimal(req.params.speciesName, animalData)
+            self.database.purgeAnimals(queryData)
+                .then(function (petIds) {
+                    res.json({
+                        result: 'success',
+                        petIds: petIds
+                    })
                 })
-                .then(function (newAnimal) {
-                    res.locals.simplifiedFormat = false;
-                    res.locals.data = newAnimal;
+                .catch(next);
+        }
+    },
 
-                    next()
+    /**
+     *
+     * @param {Object} bulkData
+     * @returns {String|null} - the reason the animals of a bulk edit cannot be selected
+     */
+    getBulkSelectorError: function (bulkData) {
+        if (!(_.isArray(bulkData.petIds) || _.isPlainObject(bulkData.query))) {
+            return 'Either a `petIds` array or a `query` object is required';
+        }
+
+        if (bulkData.mode && !_.includes(['all-or-nothing', 'best-effort'], bulkData.mode)) {
+            return '`mode` must be either `all-or-nothing` or `best-effort`';
+        }
+
+        return null;
+    },
+
+    /**
+     *
+     * @param {Object} bulkResult
+     * @param {Object} res
+     */
+    sendBulkResult: function (bulkResult, res) {
+        res.status(bulkResult.mode === 'all-or-nothing' && !bulkResult.isApplied ? 400 : 200).json(bulkResult);
+    },
+
+    onBulkUpdateAnimals: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var selectorError = self.getBulkSelectorError(req.body);
+            var patchValues = _.isPlainObject(req.body.props) ? self.toAnimalValues(req.body.props) : {};
+
+            if (selectorError || _.isEmpty(patchValues)) {
+                res.status(400).json({
+                    message: selectorError || 'A `props` object of values to set is required'
+                });
+                return;
+            }
+
+            self.database.findSpecies(req.params.speciesName)
+                .then(function (speciesData) {
+                    var species = new Species(speciesData.speciesName, speciesData.props);
+                    var errors = _.reduce(patchValues, function (errors, propValue, propName) {
+                        if (_.includes(['petId', 'species', 'status'], propName)) {
+                            errors.push({key: propName, val: propValue, message: 'property cannot be changed in bulk'});
+                        } else if (!species.getProp(propName)) {
+                            errors.push({key: propName, val: propValue, message: 'unknown property'});
+                        }
+                        return errors;
+                    }, []);
+
+                    errors = errors.concat(new Animal(species, _.omit(patchValues, _.map(errors, 'key'))).validate({isNew: false}));
+
+                    if (errors.length > 0) {
+                        res.status(400).json({
+                            message: 'Invalid animal',
+                            errors: errors
+                        });
+                        return;
+                    }
+
+                    return self.database.updateAnimals(req.params.speciesName, _.pick(req.body, ['petIds', 'query']), patchValues, {
+                            mode: req.body.mode,
+                            userId: self.getUserId(req)
+                        })
+                        .then(function (bulkResult) {
+                            self.sendBulkResult(bulkResult, res);
+                        });
                 })
-                .catch(next)
+                .catch(next);
+        }
+    },
+
+    onBulkRemoveAnimals: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var selectorError = self.getBulkSelectorError(req.body);
+
+            if (selectorError) {
+                res.status(400).json({
+                    message: selectorError
+                });
+                return;
+            }
+
+            self.database.removeAnimals(req.params.speciesName, _.pick(req.body, ['petIds', 'query']), {
+                    mode: req.body.mode,
+                    userId: self.getUserId(req)
+                })
+                .then(function (bulkResult) {
+                    self.sendBulkResult(bulkResult, res);
+                })
+                .catch(next);
+        }
+    },
+
+    onSaveAnimalJSON: function () {
+        var self = this;
+        return function (req, res, next) {
+
+            self.database.saveAnimal(req.params.speciesName, req.body, {
+                    userId: self.getUserId(req),
+                    version: res.locals.expectedVersion
+                })
+                .then(function (newAnimal) {
+                    self.setVersionTag(res, newAnimal.version.val);
+                    res.locals.simplifiedFormat = false;
+                    res.locals.data = newAnimal;
+                    next();
+                })
+                .catch(self.onSaveError(res, next));
+        }
+    },
+
+    onAnimalStatusRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.findAnimalStatus(req.params.petId)
+                .then(function (statusData) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = _.assign({
+                        nextStatuses: AnimalStatus.getNextStatuses(statusData.status)
+                    }, statusData);
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onAnimalStatusTransition: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var toStatus = req.body.status;
+
+            self.database.findAnimalStatus(req.params.petId)
+                .then(function (statusData) {
+                    if (!AnimalStatus.canTransition(statusData.status, toStatus)) {
+                        res.status(400).json({
+                            message: util.format('Cannot change status from %s to %s', statusData.status, toStatus),
+                            status: statusData.status,
+                            nextStatuses: AnimalStatus.getNextStatuses(statusData.status)
+                        });
+                        return;
+                    }
+
+                    return self.database.transitionAnimalStatus(req.params.petId, statusData.status, toStatus, {
+                            userId: self.getUserId(req),
+                            reason: req.body.reason
+                        })
+                        .then(function (updatedStatusData) {
+                            res.locals.simplifiedFormat = false;
+                            res.locals.requestedProperties = false;
+                            res.locals.data = _.assign({
+                                nextStatuses: AnimalStatus.getNextStatuses(updatedStatusData.status)
+                            }, updatedStatusData);
+                            next();
+                        });
+                })
+                .catch(next);
+        }
+    },
+
+    /**
+     * Responds with the relationships of the animal, including each related animal
+     * @param {String} petId
+     * @param {Object} res
+     * @param {Function} next
+     */
+    sendAnimalRelationships: function (petId, res, next) {
+        this.database.findAnimalRelationships(petId, {isV1Format: !res.locals.simplifiedFormat})
+            .then(function (relationshipData) {
+                res.locals.simplifiedFormat = false;
+                res.locals.requestedProperties = false;
+                res.locals.data = relationshipData;
+                next();
+            })
+            .catch(next);
+    },
+
+    /**
+     *
+     * @param {Object} relationshipData
+     * @param {Boolean} isTypeRequired
+     * @returns {String|null} - the reason the animals cannot be linked or unlinked
+     */
+    getRelationshipError: function (relationshipData, isTypeRequired) {
+        if ((isTypeRequired || relationshipData.type) && !AnimalRelationship.isType(relationshipData.type)) {
+            return util.format('`type` must be one of %s', AnimalRelationship.getTypes().join(', '));
+        }
+
+        if (!relationshipData.petId) {
+            return 'The `petId` of the related animal is required';
+        }
+
+        return null;
+    },
+
+    onAnimalRelationshipsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.sendAnimalRelationships(req.params.petId, res, next);
+        }
+    },
+
+    onLinkAnimals: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var relationshipError = self.getRelationshipError(req.body, true);
+
+            if (relationshipError) {
+                res.status(400).json({
+                    message: relationshipError,
+                    types: AnimalRelationship.getTypes()
+                });
+                return;
+            }
+
+            self.database.linkAnimals(req.params.petId, req.body.petId, req.body.type, {userId: self.getUserId(req)})
+                .then(function () {
+                    self.sendAnimalRelationships(req.params.petId, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onUnlinkAnimals: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var relationshipError = self.getRelationshipError(req.body, false);
+
+            if (relationshipError) {
+                res.status(400).json({
+                    message: relationshipError,
+                    types: AnimalRelationship.getTypes()
+                });
+                return;
+            }
+
+            self.database.unlinkAnimals(req.params.petId, req.body.petId, req.body.type)
+                .then(function () {
+                    self.sendAnimalRelationships(req.params.petId, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    /**
+     * Responds with data that isn't animals, so it is sent as is
+     * @param {Object} data
+     * @param {Object} res
+     * @param {Function} next
+     */
+    sendData: function (data, res, next) {
+        res.locals.simplifiedFormat = false;
+        res.locals.requestedProperties = false;
+        res.locals.data = data;
+        next();
+    },
+
+    /**
+     *
+     * @param {{key: String, val: *, message: String}[]} errors
+     * @param {String} message
+     * @param {Object} res
+     * @returns {Boolean} - whether there were errors and a 400 was sent
+     */
+    rejectInvalidFields: function (errors, message, res) {
+        if (errors.length === 0) {
+            return false;
+        }
+
+        res.status(400).json({
+            message: message,
+            errors: errors
+        });
+        return true;
+    },
+
+    onMedicalRecordsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.findMedicalRecords(req.params.speciesName, req.params.petId, {category: req.query.category})
+                .then(function (medicalData) {
+                    self.sendData(medicalData, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onMedicalRecordRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.findMedicalRecord(req.params.speciesName, req.params.petId, req.params.recordId)
+                .then(function (record) {
+                    self.sendData(record, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onCreateMedicalRecord: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            if (self.rejectInvalidFields(MedicalRecord.validate(req.body || {}, {isNew: true}), 'Invalid medical record', res)) {
+                return;
+            }
+
+            self.database.createMedicalRecord(req.params.speciesName, req.params.petId, MedicalRecord.toRecordFields(req.body), {userId: self.getUserId(req)})
+                .then(function (record) {
+                    self.sendData(record, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onUpdateMedicalRecord: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            if (self.rejectInvalidFields(MedicalRecord.validate(req.body || {}, {isNew: false}), 'Invalid medical record', res)) {
+                return;
+            }
+
+            self.database.updateMedicalRecord(req.params.speciesName, req.params.petId, req.params.recordId, MedicalRecord.toRecordFields(req.body), {userId: self.getUserId(req)})
+                .then(function (record) {
+                    self.sendData(record, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onRemoveMedicalRecord: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.removeMedicalRecord(req.params.speciesName, req.params.petId, req.params.recordId)
+                .then(function (record) {
+                    self.sendData(record, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onDueMedicalRecordsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var withinDays = _.isUndefined(req.query.withinDays) ? 14 : parseFloat(req.query.withinDays);
+
+            if (!(withinDays >= 0)) {
+                res.status(400).json({message: '`withinDays` must be a number of days of 0 or more'});
+                return;
+            }
+
+            self.database.findDueMedicalRecords(req.params.speciesName, new Date(Date.now() + withinDays * 24 * 60 * 60 * 1000), {isV1Format: !res.locals.simplifiedFormat})
+                .then(function (records) {
+                    self.sendData(records, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onAnimalNotesRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var noteOptions = {
+                category: req.query.category,
+                // internal notes are only shown to staff
+                visibility: self.isAuthenticated(req) ? req.query.visibility : 'public'
+            };
+
+            self.database.findAnimalNotes(req.params.speciesName, req.params.petId, noteOptions)
+                .then(function (noteData) {
+                    self.sendData(noteData, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onCreateAnimalNote: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            if (self.rejectInvalidFields(AnimalNote.validate(req.body || {}, {isNew: true}), 'Invalid note', res)) {
+                return;
+            }
+
+            self.database.createAnimalNote(req.params.speciesName, req.params.petId, AnimalNote.toNoteFields(req.body, {isNew: true}), {
+                    userId: self.getUserId(req),
+                    authorName: self.getUserName(req)
+                })
+                .then(function (note) {
+                    self.sendData(note, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onUpdateAnimalNote: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            if (self.rejectInvalidFields(AnimalNote.validate(req.body || {}, {isNew: false}), 'Invalid note', res)) {
+                return;
+            }
+
+            self.database.updateAnimalNote(req.params.speciesName, req.params.petId, req.params.noteId, AnimalNote.toNoteFields(req.body, {isNew: false}), {userId: self.getUserId(req)})
+                .then(function (note) {
+                    self.sendData(note, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onRemoveAnimalNote: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.removeAnimalNote(req.params.speciesName, req.params.petId, req.params.noteId, {userId: self.getUserId(req)})
+                .then(function (note) {
+                    self.sendData(note, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    /**
+     *
+     * @param {{from: Date, to: Date}} range
+     * @returns {String|null} - the reason the stats can not be computed over the range
+     */
+    getStatsRangeError: function (range) {
+        if (_.isNaN(range.from.getTime()) || _.isNaN(range.to.getTime())) {
+            return '`from` and `to` must be dates';
+        }
+
+        if (range.from > range.to) {
+            return '`from` must be before `to`';
+        }
+
+        return null;
+    },
+
+    onStatsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var speciesName = req.params.speciesName || req.query.species || 'all';
+            var range = AnimalStats.toRange(req.query);
+            var rangeError = self.getStatsRangeError(range);
+
+            if (rangeError) {
+                res.status(400).json({message: rangeError});
+                return;
+            }
+
+            self.database.getStats(speciesName, range)
+                .then(function (stats) {
+                    if (req.query.format !== 'csv') {
+                        self.sendData(stats, res, next);
+                        return;
+                    }
+
+                    csv.stringify(AnimalStats.toRows(stats), {header: true, columns: AnimalStats.getColumns()}, function (err, statsCSV) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+
+                        res.attachment(util.format('stats-%s-%s-%s.csv', speciesName, range.from.toISOString().slice(0, 10), range.to.toISOString().slice(0, 10)));
+                        res.type('text/csv');
+                        res.send(statsCSV);
+                    });
+                })
+                .catch(next);
+        }
+    },
+
+    onAnimalRevisionsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.findAnimalRevisions(req.params.petId)
+                .then(function (revisions) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = revisions;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onAnimalRevisionDiffRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.diffAnimalRevisions(req.params.petId, req.params.revisionId, req.params.toRevisionId)
+                .then(function (diff) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.requestedProperties = false;
+                    res.locals.data = diff;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    onAnimalRevisionRestore: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.restoreAnimalRevision(req.params.speciesName, req.params.petId, req.params.revisionId, {userId: self.getUserId(req)})
+                .then(function (restoredAnimal) {
+                    res.locals.simplifiedFormat = false;
+                    res.locals.data = restoredAnimal;
+                    next();
+                })
+                .catch(next);
+        }
+    },
+
+    saveSpeciesImage: function (species, fileMeta) {
+        var bufferStream = new stream.PassThrough();
+        var publicPath = path.join(this._apiOptions.paths.images, (species + '/'), fileMeta.originalname);
+        var imageFormatter = sharp()
+            .resize(null, this._apiOptions.maxImageHeight)
+            .withoutEnlargement();
+        var formattedBufferStream = bufferStream.pipe(imageFormatter);
+
+        bufferStream.end(fileMeta.buffer);
+
+        return this.s3.saveReadableStream(formattedBufferStream, publicPath)
+            .then(function (result) {
+                return Promise.resolve(result.Location);
+            });
+    },
+
+
+    onSaveAnimalForm: function () {
+        var self = this;
+        return function (req, res, next) {
+            var animalData = req.body;
+            var imagesValue = animalData.images || '';
+            var files = req.files || [];
+            var fileUploads = files.map(function (fileMeta) {
+                return self.saveSpeciesImage(req.params.speciesName, fileMeta)
+            });
+
+            Promise.all(fileUploads)
+                .then(function (newImageUrls) {
+
+                    animalData.images = _.chain(newImageUrls)
+                        .concat(imagesValue.split(','))
+                        .reject(function (url) {
+                            // reject falsey values and data images
+                            return !url || url.match(/^data:/);
+                        })
+                        .value();
+
+                    return self.database.saveAnimal(req.params.speciesName, animalData, {
+                        userId: self.getUserId(req),
+                        version: res.locals.expectedVersion
+                    })
+                })
+                .then(function (newAnimal) {
+                    self.setVersionTag(res, newAnimal.version.val);
+                    res.locals.simplifiedFormat = false;
+                    res.locals.data = newAnimal;
+
+                    next()
+                })
+                .catch(self.onSaveError(res, next))
         }
     },
 
@@ -347,14 +1379,82 @@ APIController.prototype = {
         var self = this;
 
         return function (req, res, next) {
-            self.database.saveSpecies(req.params.speciesName, req.body)
+            self.database.saveSpecies(req.params.speciesName, req.body, {version: res.locals.expectedVersion})
                 .then(function (updatedSpecies) {
 
+                    self.setVersionTag(res, updatedSpecies.version);
                     res.locals.simplifiedFormat = false;
                     res.locals.data = updatedSpecies;
 
                     next();
                 })
+                .catch(self.onSaveError(res, next));
+        }
+    },
+
+    onSpeciesVersionsRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.findSpeciesVersions(req.params.speciesName)
+                .then(function (speciesVersions) {
+                    self.sendData(speciesVersions, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onSpeciesVersionDiffRequest: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.diffSpeciesVersions(req.params.speciesName, req.params.versionId, req.params.toVersionId)
+                .then(function (diff) {
+                    self.sendData(diff, res, next);
+                })
+                .catch(next);
+        }
+    },
+
+    onSpeciesVersionRestore: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            self.database.restoreSpeciesVersion(req.params.speciesName, req.params.versionId, {version: res.locals.expectedVersion})
+                .then(function (restoredSpecies) {
+
+                    self.setVersionTag(res, restoredSpecies.version);
+                    res.locals.simplifiedFormat = false;
+                    res.locals.data = restoredSpecies;
+
+                    next();
+                })
+                .catch(self.onSaveError(res, next));
+        }
+    },
+
+    onMigrateSpecies: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            var operations = req.body && req.body.operations;
+
+            self.database.findSpecies(req.params.speciesName)
+                .then(function (speciesData) {
+                    var species = new Species(speciesData.speciesName, speciesData.props);
+
+                    if (self.rejectInvalidFields(SpeciesMigration.validate(operations, species), 'Invalid migration', res)) {
+                        return;
+                    }
+
+                    return self.database.migrateSpecies(req.params.speciesName, operations, {
+                            dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+                            userId: self.getUserId(req)
+                        })
+                        .then(function (migrationResult) {
+                            self.sendData(migrationResult, res, next);
+                        });
+                })
                 .catch(next);
         }
     },
@@ -389,6 +1489,7 @@ APIController.prototype = {
         return function (req, res, next) {
             self.database.saveSpecies(req.params.speciesName, req.body)
                 .then(function (newSpecies) {
+                    self.setVersionTag(res, newSpecies.version);
                     res.locals.simplifiedFormat = false;
                     res.locals.data = newSpecies;
 
@@ -91,6 +91,18 @@ AuthController.prototype = {
       return this.userSession;
     },
 
+    /**
+     * Reads the logged in user of a request, without requiring one
+     * @returns {Function[]}
+     */
+    readAuth: function () {
+        return [
+            this.session(),
+            this.passport.initialize(),
+            this.passport.session()
+        ]
+    },
+
     verifyAuth: function () {
         return [
             this.session(),
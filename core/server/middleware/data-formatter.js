@@ -2,13 +2,23 @@ var _ = require('lodash');
 
 module.exports = function (options) {
     return function (req, res, next) {
+        var simplify = function (propData) {
+            if (propData.key === 'relationships') {
+                // related animals are also simplified
+                return _.map(propData.val, function (relationship) {
+                    return relationship.animal ? _.assign({}, relationship, {animal: _.mapValues(relationship.animal, 'val')}) : relationship;
+                });
+            }
+
+            return propData.val;
+        };
         var formatter = function (animalProps) {
             return _.reduce(animalProps, function (collection, propData, propName) {
                  if (!res.locals.requestedProperties) {
-                    collection[propName] = res.locals.simplifiedFormat ? propData.val : propData;
+                    collection[propName] = res.locals.simplifiedFormat ? simplify(propData) : propData;
                 } else if (res.locals.requestedProperties.includes(propName)) {
                      // only respond with values requested in properties field
-                    collection[propName] = res.locals.simplifiedFormat ? propData.val : propData;
+                    collection[propName] = res.locals.simplifiedFormat ? simplify(propData) : propData;
                 }
 
                 return collection;
@@ -5,6 +5,7 @@ module.exports = function (options) {
         //CORS access
         res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
         res.header("Access-Control-Allow-Origin", "*");
+        res.header("Access-Control-Expose-Headers", "X-Total-Count, Link");
         next();
     }
 };
@@ -1,21 +1,76 @@
+var url = require('url');
+
 var _ = require('lodash');
 
+/**
+ *
+ * @param {Object} req
+ * @param {Number} pageNumber
+ * @returns {String} - url of the requested page
+ */
+function buildPageUrl(req, pageNumber) {
+    var requestUrl = url.parse(req.originalUrl);
+
+    return url.format({
+        protocol: req.protocol,
+        host: req.get('host'),
+        // replace current page number
+        pathname: requestUrl.pathname.replace(/\/\d+\/?$/, '') + '/' + pageNumber,
+        search: requestUrl.search
+    });
+}
+
 module.exports = function (options) {
     var opts = _.defaults(options, {
         pageSize: 10
     });
 
     return function (req, res, next) {
-        var pageSize = parseInt(req.query.pageSize || req.body.pageSize || opts.pageSize);
+        var pagination = res.locals.pagination;
         var pageNumber = parseInt(res.locals.pageNumber);
         var arrayStartIndex;
+        var lastPageNumber;
+        var links;
 
-        if (_.isFinite(pageNumber) && _.isArray(res.locals.data) && res.locals.data.length > pageSize) {
-            arrayStartIndex = pageNumber > 0 ? 0 : (pageNumber - 1) * pageSize;
+        if (!pagination && _.isFinite(pageNumber) && _.isArray(res.locals.data)) {
+            // paginate data that was not paged by the database
+            pagination = {
+                pageNumber: Math.max(pageNumber, 1),
+                pageSize: parseInt(req.query.pageSize || req.body.pageSize || opts.pageSize),
+                total: res.locals.data.length
+            };
+            arrayStartIndex = (pagination.pageNumber - 1) * pagination.pageSize;
 
-            res.locals.data = res.locals.data.slice(arrayStartIndex, arrayStartIndex + pageSize);
+            res.locals.data = res.locals.data.slice(arrayStartIndex, arrayStartIndex + pagination.pageSize);
         }
 
+        if (!pagination) {
+            if (_.isArray(res.locals.data)) {
+                res.header('X-Total-Count', res.locals.data.length);
+            }
+
+            next();
+            return;
+        }
+
+        lastPageNumber = Math.max(Math.ceil(pagination.total / pagination.pageSize), 1);
+        links = [
+            {rel: 'first', pageNumber: 1},
+            {rel: 'prev', pageNumber: pagination.pageNumber - 1},
+            {rel: 'next', pageNumber: pagination.pageNumber + 1},
+            {rel: 'last', pageNumber: lastPageNumber}
+        ];
+
+        res.header('X-Total-Count', pagination.total);
+        res.header('Link', links
+            .filter(function (link) {
+                return link.pageNumber >= 1 && link.pageNumber <= lastPageNumber;
+            })
+            .map(function (link) {
+                return '<' + buildPageUrl(req, link.pageNumber) + '>; rel="' + link.rel + '"';
+            })
+            .join(', '));
+
         next();
     }
-};
\ No newline at end of file
+};
@@ -14,39 +14,39 @@ function APIRouter(controller) {
     router.post([
         '/species/:speciesName/query',
         '/query'
-    ], controller.api.onQueryRequest());
+    ], controller.api.validateQuery(), controller.api.onQueryRequest());
 
     router.post([
         '/species/:speciesName/query/:pageNumber',
         '/query/:pageNumber'
-    ], controller.api.onQueryRequest());
+    ], controller.api.validateQuery(), controller.api.onQueryRequest());
 
     router.get([
         '/species/all/animals/list',
         '/list'
-    ], controller.api.onListAllRequest());
+    ], controller.api.validateQuery(), controller.api.onListAllRequest());
 
     router.get([
         '/species/:speciesName/animals/list',
         '/list/:speciesName'
-    ], controller.api.onListSpeciesRequest());
+    ], controller.api.validateQuery(), controller.api.onListSpeciesRequest());
 
     router.get([
         '/species/:speciesName/animals/list/:pageNumber',
         '/list/:speciesName/:pageNumber'
-    ], controller.api.onListSpeciesRequest());
+    ], controller.api.validateQuery(), controller.api.onListSpeciesRequest());
 
     // save an animal
     router.post([
         '/species/:speciesName/animals/save',
         '/save/:speciesName'
-    ], controller.auth.verifyAuth(), controller.api.uploader.array('images'), controller.api.onSaveAnimalForm());
+    ], controller.auth.verifyAuth(), controller.api.uploader.array('images'), controller.api.readExpectedVersion(), controller.api.validateAnimal(), controller.api.rejectDuplicates(), controller.api.onSaveAnimalForm());
 
     // save a json of an animal
     router.post([
         '/species/:speciesName/animals/save/json',
         '/save/:speciesName/json'
-    ], controller.auth.verifyAuth(), controller.api.onSaveAnimalJSON());
+    ], controller.auth.verifyAuth(), controller.api.readExpectedVersion(), controller.api.validateAnimal(), controller.api.rejectDuplicates(), controller.api.onSaveAnimalJSON());
 
     // delete an animal
     router.post([
@@ -54,6 +54,78 @@ function APIRouter(controller) {
         '/remove/:speciesName'
     ], controller.auth.verifyAuth(), controller.api.onDeleteAnimal());
 
+    // set the same props on many animals
+    router.post('/species/:speciesName/animals/bulk/update', controller.auth.verifyAuth(), controller.api.onBulkUpdateAnimals());
+
+    // move many animals to the trash
+    router.post('/species/:speciesName/animals/bulk/remove', controller.auth.verifyAuth(), controller.api.onBulkRemoveAnimals());
+
+    // list trashed animals
+    router.get([
+        '/species/:speciesName/animals/trash',
+        '/species/:speciesName/animals/trash/:pageNumber'
+    ], controller.auth.verifyAuth(), controller.api.onListTrashRequest());
+
+    // move an animal out of the trash
+    router.post('/species/:speciesName/animals/trash/restore', controller.auth.verifyAuth(), controller.api.onRestoreAnimal());
+
+    // permanently delete trashed animals
+    router.post('/species/:speciesName/animals/trash/purge', controller.auth.verifyAuth(), controller.api.onPurgeAnimals());
+
+    // fetch the status and status history of an animal
+    router.get('/species/:speciesName/animals/:petId/status', controller.api.onAnimalStatusRequest());
+
+    // move an animal to another status
+    router.post('/species/:speciesName/animals/:petId/status', controller.auth.verifyAuth(), controller.api.onAnimalStatusTransition());
+
+    // fetch the animals an animal is related to
+    router.get('/species/:speciesName/animals/:petId/relationships', controller.api.onAnimalRelationshipsRequest());
+
+    // relate an animal to another animal (ie as a bonded pair)
+    router.post('/species/:speciesName/animals/:petId/relationships/link', controller.auth.verifyAuth(), controller.api.onLinkAnimals());
+
+    // remove the relationships between two animals
+    router.post('/species/:speciesName/animals/:petId/relationships/unlink', controller.auth.verifyAuth(), controller.api.onUnlinkAnimals());
+
+    // list the saved versions of an animal
+    router.get('/species/:speciesName/animals/:petId/revisions', controller.auth.verifyAuth(), controller.api.onAnimalRevisionsRequest());
+
+    // compare the props of two versions of an animal
+    router.get('/species/:speciesName/animals/:petId/revisions/:revisionId/diff/:toRevisionId', controller.auth.verifyAuth(), controller.api.onAnimalRevisionDiffRequest());
+
+    // save a previous version of an animal as the current version
+    router.post('/species/:speciesName/animals/:petId/revisions/:revisionId/restore', controller.auth.verifyAuth(), controller.api.onAnimalRevisionRestore());
+
+    // list the medical records of an animal
+    router.get('/species/:speciesName/animals/:petId/medical', controller.auth.verifyAuth(), controller.api.onMedicalRecordsRequest());
+
+    // add a medical record to an animal
+    router.post('/species/:speciesName/animals/:petId/medical', controller.auth.verifyAuth(), controller.api.onCreateMedicalRecord());
+
+    // fetch a medical record of an animal
+    router.get('/species/:speciesName/animals/:petId/medical/:recordId', controller.auth.verifyAuth(), controller.api.onMedicalRecordRequest());
+
+    // change a medical record of an animal
+    router.post('/species/:speciesName/animals/:petId/medical/:recordId', controller.auth.verifyAuth(), controller.api.onUpdateMedicalRecord());
+
+    // delete a medical record of an animal
+    router.post('/species/:speciesName/animals/:petId/medical/:recordId/remove', controller.auth.verifyAuth(), controller.api.onRemoveMedicalRecord());
+
+    // list the notes of an animal, newest first (only public notes unless logged in)
+    router.get('/species/:speciesName/animals/:petId/notes', controller.auth.readAuth(), controller.api.onAnimalNotesRequest());
+
+    // add a note to an animal
+    router.post('/species/:speciesName/animals/:petId/notes', controller.auth.verifyAuth(), controller.api.onCreateAnimalNote());
+
+    // change a note of an animal
+    router.post('/species/:speciesName/animals/:petId/notes/:noteId', controller.auth.verifyAuth(), controller.api.onUpdateAnimalNote());
+
+    // delete a note of an animal
+    router.post('/species/:speciesName/animals/:petId/notes/:noteId/remove', controller.auth.verifyAuth(), controller.api.onRemoveAnimalNote());
+
+    // list the vaccinations, tests, etc. of the species that are overdue or due soon
+    router.get('/species/:speciesName/medical/due', controller.auth.verifyAuth(), controller.api.onDueMedicalRecordsRequest());
+
     router.get([
         '/species/all/list',
         '/species'
@@ -64,6 +136,10 @@ function APIRouter(controller) {
         '/options/:speciesName'
     ], controller.api.onOptionsRequest());
 
+    router.get('/species/:speciesName/facets', controller.api.onFacetsRequest());
+
+    router.post('/species/:speciesName/facets', controller.api.validateQuery(), controller.api.onFacetsRequest());
+
     router.get([
         '/species/:speciesName/options/:option',
         '/options/:speciesName/:option'
@@ -90,7 +166,7 @@ function APIRouter(controller) {
     router.post([
         '/species/:speciesName/model/update',
         '/save/:speciesName/model'
-    ], controller.auth.verifyAuth(), controller.api.onSaveSpecies());
+    ], controller.auth.verifyAuth(), controller.api.readExpectedVersion(), controller.api.onSaveSpecies());
 
     // delete a species
     router.post([
@@ -98,16 +174,49 @@ function APIRouter(controller) {
         '/remove/:speciesName/model'
     ], controller.auth.verifyAuth(), controller.api.onDeleteSpecies());
 
+    // list the saved versions of a species
+    router.get('/species/:speciesName/model/versions', controller.auth.verifyAuth(), controller.api.onSpeciesVersionsRequest());
+
+    // compare the props of two versions of a species
+    router.get('/species/:speciesName/model/versions/:versionId/diff/:toVersionId', controller.auth.verifyAuth(), controller.api.onSpeciesVersionDiffRequest());
+
+    // save a previous version of a species as its current version
+    router.post('/species/:speciesName/model/versions/:versionId/restore', controller.auth.verifyAuth(), controller.api.readExpectedVersion(), controller.api.onSpeciesVersionRestore());
+
+    // rename, convert, remap or drop a prop of every animal of a species (`dryRun` previews the changes)
+    router.post('/species/:speciesName/model/migrate', controller.auth.verifyAuth(), controller.api.onMigrateSpecies());
+
     // save a species placeholder image
     router.post([
         '/species/:speciesName/placeholder',
         '/save/:speciesName/placeholder'
     ], controller.auth.verifyAuth(), controller.api.uploader.single('placeholder'), controller.api.onSaveSpeciesPlaceholder());
 
+    // intake, adoption, population and length of stay stats over a date range, as JSON or CSV
+    router.get([
+        '/stats',
+        '/species/:speciesName/stats'
+    ], controller.api.onStatsRequest());
+
     router.get('/user', controller.auth.verifyAuth(), controller.api.onUserRetrieve());
 
     router.post('/user/save', controller.auth.verifyAuth(), controller.api.onUserUpdate());
 
+    router.get('/user/searches', controller.auth.verifyAuth(), controller.api.onUserSearchesRequest());
+
+    router.post('/user/searches', controller.auth.verifyAuth(), controller.api.onUserSearchSave());
+
+    router.get('/user/searches/:searchId', controller.auth.verifyAuth(), controller.api.onUserSearchRequest());
+
+    router.post('/user/searches/:searchId', controller.auth.verifyAuth(), controller.api.onUserSearchSave());
+
+    router.post('/user/searches/:searchId/remove', controller.auth.verifyAuth(), controller.api.onUserSearchRemove());
+
+    router.get([
+        '/user/searches/:searchId/run',
+        '/user/searches/:searchId/run/:pageNumber'
+    ], controller.auth.verifyAuth(), controller.api.onUserSearchRun());
+
     router.get('/formatdb/', controller.api.onFormatDb());
 
     router.get('/reset', controller.api.onReset());
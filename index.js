@@ -11,6 +11,8 @@ var serverUtils = require('./core/server/utils');
 var database = new Database();
 var server = new Server(database);
 
+database.scheduleTrashPurge({retentionDays: config.TRASH_RETENTION_DAYS});
+
 var ipAddress = process.env.OPENSHIFT_NODEJS_IP || null;
 var httpPortNumber = serverUtils.normalizePort(config.PORT);
 var httpsPortNumber = serverUtils.normalizePort(config.HTTPS_PORT);
@@ -10,6 +10,13 @@ ngApp.controller('formController', [
 
             switch (propData.key) {
                 case 'petId':
+                case 'version':
+                case 'referenceCode':
+                case 'relationships':
+                case 'createdAt':
+                case 'createdBy':
+                case 'updatedAt':
+                case 'updatedBy':
                     return 'hidden';
                 case 'species':
                     return 'select';
@@ -3,6 +3,8 @@ var ngApp = require('ngApp');
 var _ = require('lodash');
 
 var Animal = require('core/lib/animal');
+var AnimalNote = require('core/lib/animal-note');
+var AnimalRelationship = require('core/lib/animal-relationship');
 var Species = require('core/lib/species');
 
 console.log('loading petFormController');
@@ -21,6 +23,47 @@ module.exports = ngApp.directive('petForm', function () {
              */
             $scope.activeAnimal = null;
 
+            /**
+             * validation messages of the last save, keyed by prop name
+             * @type {Object}
+             */
+            $scope.fieldErrors = {};
+
+            /**
+             * relationships of the pet, each with the related `animal`
+             * @type {Object[]}
+             */
+            $scope.relationships = [];
+
+            $scope.relationshipTypes = AnimalRelationship.getTypes();
+
+            $scope.newRelationship = {
+                type: $scope.relationshipTypes[0],
+                petId: ''
+            };
+
+            /**
+             * staff notes of the pet, newest first
+             * @type {Object[]}
+             */
+            $scope.notes = [];
+
+            $scope.noteCategories = AnimalNote.getCategories();
+
+            $scope.noteVisibilities = AnimalNote.getVisibilities();
+
+            $scope.newNote = {
+                category: $scope.noteCategories[0],
+                visibility: $scope.noteVisibilities[0],
+                text: ''
+            };
+
+            /**
+             * copy of the note being edited
+             * @type {Object|null}
+             */
+            $scope.editingNote = null;
+
             $scope.fab = {
                 isOpen: false
             };
@@ -183,6 +226,7 @@ module.exports = ngApp.directive('petForm', function () {
              */
             $scope.setAnimalProperty = function (propName, propData) {
                 propData.key = propData.key || propName;
+                delete $scope.fieldErrors[propData.key];
                 $scope.activeAnimal.setProps([propData]);
             };
 
@@ -228,6 +272,9 @@ module.exports = ngApp.directive('petForm', function () {
                         $scope.activeAnimal = fetchedAnimal;
                         $scope.hideLoading();
                         $scope.showMessage('Successfully loaded pet');
+                        // non-blocking
+                        $scope.loadRelationships();
+                        $scope.loadNotes();
                     })
                     .catch(function (err) {
 
@@ -239,6 +286,174 @@ module.exports = ngApp.directive('petForm', function () {
                     });
             };
 
+            /**
+             *
+             * @param {Object[]} relationships
+             */
+            function setRelationships(relationships) {
+                // $apply necessary to inform angular of data change
+                $scope.$apply(function () {
+                    $scope.relationships = _.map(relationships, function (relationship) {
+                        return _.assign({}, relationship, {
+                            animal: relationship.animal ? new Animal(relationship.animal) : null
+                        });
+                    });
+                });
+            }
+
+            /**
+             *
+             * @return {Promise}
+             */
+            $scope.loadRelationships = function () {
+                if (!($scope.activeAnimal && $scope.activeAnimal.getId())) {
+                    $scope.relationships = [];
+                    return Promise.resolve($scope.relationships);
+                }
+
+                return animalDataService.getRelationships($scope.activeAnimal)
+                    .then(setRelationships)
+                    .catch(function (err) {
+                        console.error(err);
+                        $scope.showError('Could not load related pets');
+                    });
+            };
+
+            /**
+             * Relates the pet to the pet in the new relationship form
+             * @return {Promise}
+             */
+            $scope.linkPet = function () {
+                var relatedPetId = _.trim($scope.newRelationship.petId);
+
+                if (!relatedPetId) {
+                    $scope.showError('Enter the pet ID or reference code of the related pet');
+                    return Promise.resolve();
+                }
+
+                return animalDataService.linkAnimals($scope.activeAnimal, relatedPetId, $scope.newRelationship.type)
+                    .then(function (relationships) {
+                        setRelationships(relationships);
+                        $scope.newRelationship.petId = '';
+                        $scope.showMessage('Linked pets');
+                    })
+                    .catch(function (response) {
+                        $scope.showError(response && response.data && response.data.message || 'Could not link pets');
+                    });
+            };
+
+            /**
+             *
+             * @param {Object} relationship
+             * @return {Promise}
+             */
+            $scope.unlinkPet = function (relationship) {
+                return animalDataService.unlinkAnimals($scope.activeAnimal, relationship.petId, relationship.type)
+                    .then(function (relationships) {
+                        setRelationships(relationships);
+                        $scope.showMessage('Unlinked pets');
+                    })
+                    .catch(function () {
+                        $scope.showError('Could not unlink pets');
+                    });
+            };
+
+            /**
+             *
+             * @param {Object[]} notes
+             */
+            function setNotes(notes) {
+                // $apply necessary to inform angular of data change
+                $scope.$apply(function () {
+                    $scope.notes = notes;
+                });
+            }
+
+            /**
+             *
+             * @return {Promise}
+             */
+            $scope.loadNotes = function () {
+                if (!($scope.activeAnimal && $scope.activeAnimal.getId())) {
+                    $scope.notes = [];
+                    return Promise.resolve($scope.notes);
+                }
+
+                return animalDataService.getNotes($scope.activeAnimal)
+                    .then(setNotes)
+                    .catch(function (err) {
+                        console.error(err);
+                        $scope.showError('Could not load notes');
+                    });
+            };
+
+            /**
+             * Adds the note in the new note form to the pet
+             * @return {Promise}
+             */
+            $scope.addNote = function () {
+                if (!_.trim($scope.newNote.text)) {
+                    $scope.showError('Enter the text of the note');
+                    return Promise.resolve();
+                }
+
+                return animalDataService.addNote($scope.activeAnimal, $scope.newNote)
+                    .then(function () {
+                        $scope.newNote.text = '';
+                        $scope.showMessage('Added note');
+                        return $scope.loadNotes();
+                    })
+                    .catch(function (response) {
+                        $scope.showError(response && response.data && response.data.message || 'Could not add note');
+                    });
+            };
+
+            /**
+             *
+             * @param {Object} note
+             */
+            $scope.editNote = function (note) {
+                $scope.editingNote = _.pick(note, ['_id', 'category', 'visibility', 'text']);
+            };
+
+            $scope.cancelNoteEdit = function () {
+                $scope.editingNote = null;
+            };
+
+            /**
+             * Saves the note being edited
+             * @return {Promise}
+             */
+            $scope.saveNote = function () {
+                var noteData = _.omit($scope.editingNote, '_id');
+
+                return animalDataService.updateNote($scope.activeAnimal, $scope.editingNote._id, noteData)
+                    .then(function () {
+                        $scope.editingNote = null;
+                        $scope.showMessage('Saved note');
+                        return $scope.loadNotes();
+                    })
+                    .catch(function (response) {
+                        $scope.showError(response && response.data && response.data.message || 'Could not save note');
+                    });
+            };
+
+            /**
+             *
+             * @param {Object} note
+             * @return {Promise}
+             */
+            $scope.removeNote = function (note) {
+                return animalDataService.removeNote($scope.activeAnimal, note._id)
+                    .then(function () {
+                        $scope.showMessage('Deleted note');
+                        return $scope.loadNotes();
+                    })
+                    .catch(function (response) {
+                        $scope.showError(response && response.data && response.data.message || 'Could not delete note');
+                    });
+            };
+
             /**
              *
              * @param {Object} [options]
@@ -315,9 +530,13 @@ module.exports = ngApp.directive('petForm', function () {
                         return animalDataService.saveAnimal($scope.activeAnimal)
                     })
                     .then(function (savedAnimal) {
+                        $scope.fieldErrors = {};
                         $scope.activeAnimal = savedAnimal;
                         $scope.hideLoading();
                         $scope.render();
+                        // non-blocking
+                        $scope.loadRelationships();
+                        $scope.loadNotes();
 
                         if (opts.visibleNotification) {
                             $scope.showMessage('Successfully saved');
@@ -332,6 +551,52 @@ module.exports = ngApp.directive('petForm', function () {
                         }
 
                         return Promise.resolve($scope.activeAnimal);
+                    })
+                    .catch(function (response) {
+                        var errors = response && response.data && response.data.errors;
+
+                        $scope.hideLoading();
+
+                        if (response && response.status === 409 && response.data.current) {
+                            $scope.resolveSaveConflict(new Animal(response.data.current));
+                        }
+
+                        if (response && response.status === 400 && errors) {
+                            // $apply necessary to inform angular of data change
+                            $scope.$apply(function () {
+                                $scope.fieldErrors = _.reduce(errors, function (fieldErrors, error) {
+                                    fieldErrors[error.key] = error.message;
+                                    return fieldErrors;
+                                }, {});
+                            });
+                            $scope.showError('Please correct the highlighted fields');
+                        }
+
+                        return Promise.reject(response);
+                    });
+            };
+
+            /**
+             * Prompts to load the current copy of a pet that was saved by someone else, or to keep the form's values
+             * @param {Animal} currentAnimal
+             * @return {Promise}
+             */
+            $scope.resolveSaveConflict = function (currentAnimal) {
+                var confirmDialog = $mdDialog.confirm()
+                    .title('This pet was changed by someone else')
+                    .textContent('Load their changes, or keep your values to save over them?')
+                    .ariaLabel('Save conflict')
+                    .ok('Load their changes')
+                    .cancel('Keep mine');
+
+                return $mdDialog.show(confirmDialog)
+                    .then(function onLoad() {
+                        $scope.activeAnimal = currentAnimal;
+                        return $scope.render();
+                    })
+                    .catch(function onKeep() {
+                        // the next save replaces the current copy
+                        $scope.activeAnimal.setValue('version', currentAnimal.getValue('version'));
                     });
             };
 
@@ -496,7 +761,7 @@ module.exports = ngApp.directive('petForm', function () {
                                 $scope.deletePet({successRedirect: true})
                             },
                             label: 'delete',
-                            icon: 'delete_forever'
+                            icon: 'delete'
                         }
                     ]
                 };
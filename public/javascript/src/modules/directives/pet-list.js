@@ -6,12 +6,15 @@ module.exports = ngApp.directive('petList', function () {
         restrict: 'C',
         replace: true,
         template: require('raw-loader!./templates/pet-list.html'),
-        controller: function ($scope, $mdDialog, animalDataService, speciesDataService) {
+        controller: function ($scope, $mdDialog, animalDataService, speciesDataService, userService) {
             $scope.currentSpeciesIndex = 0;
             $scope.animals = {};
             $scope.selectedPets = {};
             $scope.selectedSpecies = null;
             $scope.batchSpeciesProp = null;
+            $scope.savedSearches = [];
+            $scope.activeSearch = null;
+            $scope.searchResults = [];
 
             $scope.getActiveSpecies = function () {
                 var defaultSpecies = 'dog';
@@ -175,6 +178,65 @@ module.exports = ngApp.directive('petList', function () {
                     })
             }
 
+            function loadSearches() {
+                return userService.getSearches()
+                    .then(function (searches) {
+                        $scope.$evalAsync(function () {
+                            $scope.savedSearches = searches;
+                        });
+                    })
+                    .catch(function (err) {
+                        console.error(err);
+                    })
+            }
+
+            /**
+             *
+             * @param {Object} search
+             */
+            $scope.runSearch = function (search) {
+                $scope.showLoading();
+                return userService.runSearch(search)
+                    .then(function (animals) {
+                        $scope.$evalAsync(function () {
+                            $scope.activeSearch = search;
+                            $scope.searchResults = animals;
+                            $scope.currentSpeciesIndex = 0;
+                        });
+                    })
+                    .catch(function (err) {
+                        $scope.showError('Could not run ' + search.name);
+                        console.error(err);
+                    })
+                    .then(function () {
+                        $scope.hideLoading();
+                    })
+            };
+
+            $scope.clearSearch = function () {
+                $scope.activeSearch = null;
+                $scope.searchResults = [];
+            };
+
+            /**
+             *
+             * @returns {Object} - ids of the selected pets, keyed by species name
+             */
+            function getSelectedPetIdsBySpecies() {
+                return _.chain($scope.selectedPets)
+                    .values()
+                    .compact()
+                    .groupBy(function (animal) {
+                        return animal.getSpeciesName() || $scope.getActiveSpecies();
+                    })
+                    .mapValues(function (animals) {
+                        return _.map(animals, function (animal) {
+                            return animal.getId();
+                        });
+                    })
+                    .value();
+            }
+
             /**
              *
              * @param {Object} [options]
@@ -184,31 +246,16 @@ module.exports = ngApp.directive('petList', function () {
                 var opts = _.defaults(options, {
                     visibleNotification: true
                 });
+                var batchValues = _.reduce($scope.batchProperties, function (values, propData) {
+                    if (propData.key !== 'species' && propData.val !== undefined && propData.val !== null) {
+                        values[propData.key] = propData.val;
+                    }
+                    return values;
+                }, {});
 
                 $scope.showLoading();
-                return Promise.all(Object.keys($scope.selectedPets).map(function (animalId, idx) {
-                        var animal = $scope.selectedPets[animalId];
-
-                        if (!animal) {
-                            console.error('Could not save pet[%s]: %o', idx, animal);
-                            return Promise.resolve();
-                        }
-
-                        return animalDataService.fetchAnimal(animal)
-                            .then(function (fetchedAnimal) {
-
-                                fetchedAnimal.setProps($scope.batchProperties);
-
-                                return animalDataService.saveAnimal(fetchedAnimal)
-                                    .then(function (result) {
-                                        console.log('petList: saved pet (%s/%s)', idx, Object.keys($scope.selectedPets).length);
-                                        return result;
-                                    })
-                            })
-                            .catch(function (err) {
-                                if (opts.visibleNotification) $scope.showError('Could not save pet');
-                                console.error(err);
-                            })
+                return Promise.all(_.map(getSelectedPetIdsBySpecies(), function (petIds, speciesName) {
+                        return animalDataService.updateAnimals(speciesName, petIds, batchValues);
                     }))
                     .then(function () {
                         if (opts.visibleNotification) $scope.showMessage('All pets saved');
@@ -226,8 +273,8 @@ module.exports = ngApp.directive('petList', function () {
 
             $scope.delete = function (options) {
                 $scope.showLoading();
-                return Promise.all(Object.keys($scope.selectedPets).map(function (selectedPetId) {
-                        return animalDataService.deleteAnimal($scope.selectedPets[selectedPetId])
+                return Promise.all(_.map(getSelectedPetIdsBySpecies(), function (petIds, speciesName) {
+                        return animalDataService.removeAnimals(speciesName, petIds);
                     }))
                     .then(function () {
                         if ($scope.visibleNotification) $scope.showMessage('All pets deleted');
@@ -244,6 +291,7 @@ module.exports = ngApp.directive('petList', function () {
 
             (function init() {
                 loadPets();
+                loadSearches();
             })();
         }
     }
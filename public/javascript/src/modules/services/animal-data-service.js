@@ -23,7 +23,7 @@ module.exports = ngApp.service('animalDataService', function (request) {
             return Promise.resolve(self.animals[speciesName])
         }
 
-        return request.get("/api/v1/species/" + speciesName + "/animals/list?properties=['petId','petName','species','images']")
+        return request.get("/api/v1/species/" + speciesName + "/animals/list?properties=['petId','petName','species','images']&sortBy=petName:asc")
             .then(function success(response) {
 
                 self.animals[speciesName] = response.data.map(function (animalData) {
@@ -44,6 +44,137 @@ module.exports = ngApp.service('animalDataService', function (request) {
         return request.post('/api/v1/species/' + animal.getSpeciesName() + '/animals/remove', animal.toMongooseDoc())
     };
 
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String[]} petIds
+     * @param {Object} props - values to set on each animal
+     * @param {Object} [options]
+     * @param {String} [options.mode='all-or-nothing']
+     * @returns {Promise.<{mode: String, isApplied: Boolean, results: Object[]}>}
+     */
+    this.updateAnimals = function (speciesName, petIds, props, options) {
+        var opts = _.defaults(options, {
+            mode: 'all-or-nothing'
+        });
+
+        return request.post('/api/v1/species/' + speciesName + '/animals/bulk/update', {petIds: petIds, props: props, mode: opts.mode})
+            .then(function success(response) {
+                return Promise.resolve(response.data);
+            })
+    };
+
+    /**
+     *
+     * @param {String} speciesName
+     * @param {String[]} petIds
+     * @param {Object} [options]
+     * @param {String} [options.mode='all-or-nothing']
+     * @returns {Promise.<{mode: String, isApplied: Boolean, results: Object[]}>}
+     */
+    this.removeAnimals = function (speciesName, petIds, options) {
+        var opts = _.defaults(options, {
+            mode: 'all-or-nothing'
+        });
+
+        return request.post('/api/v1/species/' + speciesName + '/animals/bulk/remove', {petIds: petIds, mode: opts.mode})
+            .then(function success(response) {
+                return Promise.resolve(response.data);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @returns {Promise.<Object[]>} - the relationships of the animal, each with the related `animal`
+     */
+    this.getRelationships = function (animal) {
+        return request.get('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/relationships')
+            .then(function success(response) {
+                return Promise.resolve(response.data.relationships);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @param {String} relatedPetId - the petId or reference code of the related animal
+     * @param {String} type - how the animal is related to the other animal (ie `bonded-with`)
+     * @returns {Promise.<Object[]>} - the updated relationships of the animal
+     */
+    this.linkAnimals = function (animal, relatedPetId, type) {
+        return request.post('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/relationships/link', {petId: relatedPetId, type: type})
+            .then(function success(response) {
+                return Promise.resolve(response.data.relationships);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @param {String} relatedPetId
+     * @param {String} [type] only removes relationships of this type
+     * @returns {Promise.<Object[]>} - the updated relationships of the animal
+     */
+    this.unlinkAnimals = function (animal, relatedPetId, type) {
+        return request.post('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/relationships/unlink', {petId: relatedPetId, type: type})
+            .then(function success(response) {
+                return Promise.resolve(response.data.relationships);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @returns {Promise.<Object[]>} - the notes of the animal, newest first
+     */
+    this.getNotes = function (animal) {
+        return request.get('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/notes')
+            .then(function success(response) {
+                return Promise.resolve(response.data.notes);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @param {{text: String, category: String, visibility: String}} noteData
+     * @returns {Promise.<Object>} - the saved note
+     */
+    this.addNote = function (animal, noteData) {
+        return request.post('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/notes', noteData)
+            .then(function success(response) {
+                return Promise.resolve(response.data);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @param {String} noteId
+     * @param {Object} noteData - the fields to change
+     * @returns {Promise.<Object>} - the saved note
+     */
+    this.updateNote = function (animal, noteId, noteData) {
+        return request.post('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/notes/' + noteId, noteData)
+            .then(function success(response) {
+                return Promise.resolve(response.data);
+            })
+    };
+
+    /**
+     *
+     * @param {Animal} animal
+     * @param {String} noteId
+     * @returns {Promise.<Object>} - the removed note
+     */
+    this.removeNote = function (animal, noteId) {
+        return request.post('/api/v1/species/' + animal.getSpeciesName() + '/animals/' + animal.getId() + '/notes/' + noteId + '/remove')
+            .then(function success(response) {
+                return Promise.resolve(response.data);
+            })
+    };
+
     /**
      *
      * @param {Animal} animal
@@ -107,6 +238,11 @@ module.exports = ngApp.service('animalDataService', function (request) {
 
         // assign animal values to form data
         _.forEach(animal.getProps(), function (propData) {
+            if (propData.key === 'relationships') {
+                // relationships are saved by linking animals
+                return;
+            }
+
             if (propData.val !== undefined && propData.val !== null) {
 
                 if (!propData.key || propData.key === 'undefined'){
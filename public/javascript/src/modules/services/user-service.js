@@ -1,6 +1,7 @@
 var angular = require('angular');
 var ngApp = require('ngApp');
 var _ = require('lodash');
+var Animal = require('core/lib/animal');
 
 module.exports = ngApp.service('userService', function (request) {
     var self = this;
@@ -131,6 +132,60 @@ module.exports = ngApp.service('userService', function (request) {
     };
 
 
+    /**
+     * @returns {Promise.<Object[]>}
+     **/
+    this.getSearches = function () {
+        return request.get('/api/v1/user/searches')
+            .then(function success(response) {
+                self.user.searches = response.data;
+                return Promise.resolve(self.user.searches);
+            });
+    };
+
+    /**
+     * @param {Object} searchData
+     * @param {String} [searchData._id] updates the saved search when provided
+     * @param {String} searchData.name
+     * @param {Object} searchData.query
+     * @returns {Promise.<Object>}
+     **/
+    this.saveSearch = function (searchData) {
+        var endpoint = searchData._id ? '/api/v1/user/searches/' + searchData._id : '/api/v1/user/searches';
+
+        return request.post(endpoint, _.pick(searchData, ['name', 'query']))
+            .then(function success(response) {
+                self.user.searches = _.reject(self.user.searches, {_id: response.data._id}).concat(response.data);
+                return Promise.resolve(response.data);
+            });
+    };
+
+    /**
+     * @param {Object} searchData
+     * @returns {Promise}
+     **/
+    this.removeSearch = function (searchData) {
+        return request.post('/api/v1/user/searches/' + searchData._id + '/remove')
+            .then(function success() {
+                self.user.searches = _.reject(self.user.searches, {_id: searchData._id});
+            });
+    };
+
+    /**
+     * @param {Object} searchData
+     * @returns {Promise.<Animal[]>}
+     **/
+    this.runSearch = function (searchData) {
+        return request.get('/api/v1/user/searches/' + searchData._id + '/run', {
+                params: {properties: "['petId','petName','species','images']"}
+            })
+            .then(function success(response) {
+                return Promise.resolve(response.data.map(function (animalData) {
+                    return new Animal(animalData);
+                }));
+            });
+    };
+
     /**
      * @param {Object} options
      * @returns {Promise}
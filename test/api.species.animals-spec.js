@@ -26,7 +26,11 @@ describe("/species/:speciesName/animals/save", function () {
     var testPetData = {
         petName: 'success pet',
         species: speciesName,
-        age: '10 years'
+        age: '10+ years',
+        intakeDate: '2026-03-04T00:00:00.000Z',
+        adoptable: false,
+        lost: false,
+        caseActive: true
     };
     var devEnvFlag = config.DEVELOPMENT_ENV;
 
@@ -80,7 +84,23 @@ describe("/species/:speciesName/animals/save", function () {
                         }
                     });
                 })
-        })
+        });
+
+        it(sprintf("responds with a 400 listing each invalid field of a %s", speciesName), function () {
+            return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save'))
+                .type('form')
+                .set('Accept', 'application/json')
+                .send(_.defaults({age: '10 years', adoptable: 'sometimes'}, _.omit(testPetData, 'intakeDate')))
+                .expect('Content-Type', /json/)
+                .expect(400)
+                .expect(function (response) {
+                    expect(response.body.errors).to.have.deep.members([
+                        {key: 'age', val: '10 years', message: 'value must be one of the property options'},
+                        {key: 'adoptable', val: 'sometimes', message: 'value must be a Boolean'},
+                        {key: 'intakeDate', val: null, message: 'value is required'}
+                    ]);
+                })
+        });
     });
 
     describe(sprintf("POST /species/%s/animals/remove", speciesName), function () {
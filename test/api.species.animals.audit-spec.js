@@ -0,0 +1,112 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("audit fields", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var testPetData = {
+        petName: 'audited pet',
+        species: speciesName,
+        intakeDate: '2026-03-04T00:00:00.000Z',
+        adoptable: false,
+        lost: false,
+        caseActive: true
+    };
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var petId;
+    var createdAt;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("records who created a %s and when", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send(testPetData)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                petId = res.body.petId.val;
+                createdAt = res.body.createdAt.val;
+
+                expect(res.body.createdBy.val).to.eql('dev');
+                expect(res.body.updatedBy.val).to.eql('dev');
+                expect(Date.parse(createdAt)).to.be.a('number');
+                expect(res.body.updatedAt.val).to.eql(createdAt);
+            })
+    });
+
+    it(sprintf("records who last updated a %s and when", speciesName), function () {
+        return testDb.saveAnimal(speciesName, {petId: petId, petName: 'audited pet', species: speciesName, color: 'Black (All)'}, {userId: 'otherUser'})
+            .then(function (animalData) {
+                expect(animalData.createdBy.val).to.eql('dev');
+                expect(new Date(animalData.createdAt.val).toISOString()).to.eql(createdAt);
+                expect(animalData.updatedBy.val).to.eql('otherUser');
+                expect(new Date(animalData.updatedAt.val).getTime()).to.be.at.least(Date.parse(createdAt));
+            })
+    });
+
+    it(sprintf("ignores audit values sent with a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send({petId: petId, petName: 'audited pet', species: speciesName, createdBy: 'someoneElse'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body.createdBy.val).to.eql('dev');
+            })
+    });
+
+    it(sprintf("includes the audit values of a %s in the v2 format", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'query', {base: '/api/v2/'}))
+            .send({petName: 'audited pet'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                var animalData = _.find(res.body, {petId: petId});
+
+                expect(animalData.createdBy).to.eql('dev');
+                expect(animalData.createdAt).to.eql(createdAt);
+            })
+    });
+
+    it(sprintf("filters and sorts %s queries by audit values", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'query'))
+            .send({
+                createdBy: 'dev',
+                createdAt: {gte: createdAt},
+                sortBy: 'updatedAt:desc'
+            })
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(_.map(res.body, function (animalData) {
+                    return animalData.petId.val;
+                })).to.include(petId);
+            })
+    });
+});
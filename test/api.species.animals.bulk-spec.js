@@ -0,0 +1,141 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/bulk", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var missingPetId = '000000000000000000000000';
+    var petIds = [];
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return Promise.all(['bulk pet 1', 'bulk pet 2', 'bulk pet 3'].map(function (petName) {
+                    return testDb.saveAnimal(speciesName, {petName: petName, species: speciesName, color: 'Black (All)', sex: 'Male'});
+                }));
+            })
+            .then(function (animals) {
+                petIds = animals.map(function (animalData) {
+                    return animalData.petId.val || animalData.petId;
+                });
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    function findBulkAnimals() {
+        return testDb.findAnimals({species: speciesName, petName: 'bulk pet'}, {isV1Format: false});
+    }
+
+    function findSexes() {
+        return findBulkAnimals()
+            .then(function (animals) {
+                return _.chain(animals)
+                    .keyBy('petId')
+                    .mapValues('sex')
+                    .value();
+            });
+    }
+
+    it(sprintf("changes no %s when any cannot be updated in all-or-nothing mode", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'bulk', 'update'))
+            .send({petIds: petIds.concat(missingPetId), props: {sex: 'Female'}})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .then(function (res) {
+                expect(res.body.isApplied).to.be.false;
+                expect(_.find(res.body.results, {petId: missingPetId})).to.include({result: 'failed'});
+                expect(_.map(_.reject(res.body.results, {petId: missingPetId}), 'result')).to.eql(['skipped', 'skipped', 'skipped']);
+
+                return findSexes();
+            })
+            .then(function (sexes) {
+                expect(_.uniq(_.values(sexes))).to.eql(['Male']);
+            })
+    });
+
+    it(sprintf("updates the %s that can be updated in best-effort mode", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'bulk', 'update'))
+            .send({petIds: [petIds[0], missingPetId], props: {sex: 'Female'}, mode: 'best-effort'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.results).to.have.deep.members([
+                    {petId: petIds[0], result: 'updated'},
+                    {petId: missingPetId, result: 'failed', message: 'Animal not found'}
+                ]);
+
+                return findSexes();
+            })
+            .then(function (sexes) {
+                expect(sexes[petIds[0]]).to.eql('Female');
+                expect(sexes[petIds[1]]).to.eql('Male');
+            })
+    });
+
+    it(sprintf("updates each %s matching a query and keeps their other props", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'bulk', 'update'))
+            .send({query: {petName: 'bulk pet', sex: 'Male'}, props: {sex: 'Female'}})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.isApplied).to.be.true;
+                expect(_.map(res.body.results, 'petId')).to.have.members([petIds[1], petIds[2]]);
+
+                return findBulkAnimals();
+            })
+            .then(function (animals) {
+                expect(_.uniq(_.map(animals, 'sex'))).to.eql(['Female']);
+                expect(_.uniq(_.map(animals, 'color'))).to.eql(['Black (All)']);
+            })
+    });
+
+    it(sprintf("responds with a 400 listing each invalid prop of a %s bulk update", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'bulk', 'update'))
+            .send({petIds: petIds, props: {sex: 'unknown', petId: missingPetId}})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .expect(function (res) {
+                expect(_.map(res.body.errors, 'key')).to.have.members(['sex', 'petId']);
+            })
+    });
+
+    it(sprintf("moves each %s to the trash", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'bulk', 'remove'))
+            .send({petIds: petIds})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(_.uniq(_.map(res.body.results, 'result'))).to.eql(['removed']);
+
+                return testDb.countAnimals({species: speciesName, petName: 'bulk pet'});
+            })
+            .then(function (animalCount) {
+                expect(animalCount).to.eql(0);
+            })
+    });
+});
@@ -0,0 +1,120 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/save/json duplicates", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var animalData = {
+        petName: 'duplicate pet',
+        species: speciesName,
+        microchip_number: 'DUP-0001',
+        intakeDate: '2026-03-04T15:00:00.000Z',
+        shelterId: 7,
+        adoptable: false,
+        lost: false,
+        caseActive: true
+    };
+    var petId;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return testDb.saveAnimal(speciesName, animalData);
+            })
+            .then(function (savedAnimalData) {
+                petId = savedAnimalData.petId.val || savedAnimalData.petId;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("responds with a 409 listing a %s with the same microchip_number", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send(_.defaults({petName: 'another pet', microchip_number: 'dup-0001', intakeDate: '2026-05-01T15:00:00.000Z'}, animalData))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(409)
+            .expect(function (res) {
+                expect(res.body.candidates).to.have.lengthOf(1);
+                expect(res.body.candidates[0].matchedBy).to.eql(['microchip_number']);
+                expect(res.body.candidates[0].animal.petId.val).to.eql(petId);
+            })
+    });
+
+    it(sprintf("responds with a 409 listing a %s sent as an array of props with the same microchip_number", speciesName), function () {
+        var animalProps = _.map(_.defaults({petName: 'array pet', intakeDate: '2026-06-01T15:00:00.000Z'}, animalData), function (val, key) {
+            return {key: key, val: val};
+        });
+
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send(animalProps)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(409)
+            .expect(function (res) {
+                expect(res.body.candidates).to.have.lengthOf(1);
+                expect(res.body.candidates[0].matchedBy).to.eql(['microchip_number']);
+                expect(res.body.candidates[0].animal.petId.val).to.eql(petId);
+            })
+    });
+
+    it(sprintf("responds with a 409 listing a %s with the same name and intake day at the same shelter", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json', {base: '/api/v2'}))
+            .send(_.defaults({petName: 'Duplicate Pet', microchip_number: '', intakeDate: '2026-03-04T09:00:00.000Z'}, animalData))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(409)
+            .expect(function (res) {
+                expect(res.body.candidates).to.have.lengthOf(1);
+                expect(res.body.candidates[0].matchedBy).to.eql(['petName', 'intakeDate', 'shelterId']);
+                expect(res.body.candidates[0].animal.petId).to.eql(petId);
+            })
+    });
+
+    it(sprintf("saves a %s with the same name at another shelter", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send(_.defaults({microchip_number: '', intakeDate: '2026-03-04T09:00:00.000Z', shelterId: 8}, animalData))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+    });
+
+    it(sprintf("saves a duplicate %s when allowDuplicate is set", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send(_.assign({allowDuplicate: true}, animalData))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body.petId.val).to.not.eql(petId);
+                expect(res.body).to.not.have.property('allowDuplicate');
+            })
+    });
+
+    it(sprintf("updates a %s without checking for duplicates", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+            .send(_.assign({petId: petId}, animalData))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+    });
+});
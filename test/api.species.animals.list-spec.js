@@ -14,6 +14,7 @@ var tHelper = new TestHelper();
 var sprintf = tHelper.sprintf;
 var expect = chai.expect;
 var request;
+var database;
 
 
 describe("/species/all/animals/list", function () {
@@ -25,6 +26,7 @@ describe("/species/all/animals/list", function () {
         return tHelper.beforeAPI()
             .then(function (testComponents) {
                 request = supertest(testComponents.server);
+                database = testComponents.database;
                 return Promise.resolve();
             })
     });
@@ -81,6 +83,75 @@ describe("/species/all/animals/list", function () {
                 })
         });
 
+        it(sprintf("returns total count and Link headers with a paged JSON of %s species", speciesName), function () {
+            var pageSize = 2;
+
+            return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'list'))
+                .set('Accept', 'application/json')
+                .expect(200)
+                .then(function (fullListResponse) {
+                    var fullList = fullListResponse.body;
+
+                    expect(fullListResponse.headers['x-total-count']).to.eql(String(fullList.length));
+                    expect(fullList).to.have.length.above(pageSize);
+
+                    return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'list', 2, {pageSize: pageSize}))
+                        .set('Accept', 'application/json')
+                        .expect('Content-Type', /json/)
+                        .expect(200)
+                        .expect(function (pagedListResponse) {
+                            var expectedPetIds = _.map(fullList.slice(pageSize, pageSize * 2), 'petId.val');
+
+                            expect(_.map(pagedListResponse.body, 'petId.val')).to.eql(expectedPetIds);
+                            expect(pagedListResponse.headers['x-total-count']).to.eql(String(fullList.length));
+                            expect(pagedListResponse.headers['link']).to.match(/\/list\/1\?pageSize=2>; rel="prev"/);
+                            expect(pagedListResponse.headers['link']).to.match(/rel="first"/);
+                            expect(pagedListResponse.headers['link']).to.match(/rel="last"/);
+                        })
+                })
+        });
+
+        it(sprintf("returns JSON of %s species matching a full-text search", speciesName), function () {
+            var petName = 'Searchable' + speciesName;
+
+            return database.saveAnimal(speciesName, {petName: petName, description: 'a very calm senior'})
+                .then(function () {
+                    return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'list') + '?q=' + petName)
+                        .set('Accept', 'application/json')
+                        .expect('Content-Type', /json/)
+                        .expect(200)
+                        .expect(function (res) {
+                            expect(res.body).to.be.an('Array');
+                            expect(res.body).to.have.length.above(0);
+                            expect(res.body[0].petName.val).to.eql(petName);
+                            expect(res.body[0].relevance.val).to.be.above(0);
+                        })
+                });
+        });
+
+        it(sprintf("returns JSON of %s species matching query string filters", speciesName), function () {
+            var petName = 'Filterable' + speciesName;
+
+            return Promise.all([
+                    database.saveAnimal(speciesName, {petName: petName, sex: 'Female'}),
+                    database.saveAnimal(speciesName, {petName: petName, sex: 'Male'})
+                ])
+                .then(function () {
+                    return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'list', 1, {properties: ['petName', 'sex']}))
+                        .query({petName: petName, sex: 'female', ignoreCase: 'sex'})
+                        .set('Accept', 'application/json')
+                        .expect('Content-Type', /json/)
+                        .expect(200)
+                        .expect(function (res) {
+                            expect(res.headers['x-total-count']).to.eql('1');
+                            expect(res.body).to.have.lengthOf(1);
+                            expect(res.body[0].petName.val).to.eql(petName);
+                            expect(res.body[0].sex.val).to.eql('Female');
+                            expect(res.body[0]).to.have.all.keys(['petName', 'sex']);
+                        })
+                });
+        });
+
         it("returns only request parameters when 'properties' key provided", function () {
             var properties = ['species', 'petName'];
 
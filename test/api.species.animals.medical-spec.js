@@ -0,0 +1,164 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/:petId/medical", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var dayInMs = 24 * 60 * 60 * 1000;
+    var testPet;
+    var recordId;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return testDb.saveAnimal(speciesName, {petName: 'vaccinated pet', species: speciesName});
+            })
+            .then(function (animalData) {
+                testPet = animalData;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("adds a medical record to a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical'))
+            .send({
+                category: 'vaccination',
+                name: 'Rabies',
+                date: new Date(Date.now() - 360 * dayInMs).toISOString(),
+                dueDate: new Date(Date.now() + 5 * dayInMs).toISOString(),
+                vet: 'Dr. Lee'
+            })
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                recordId = res.body._id;
+                expect(res.body).to.include({petId: testPet.petId.val, category: 'vaccination', name: 'Rabies', vet: 'Dr. Lee'});
+                expect(res.body.createdBy).to.eql('dev');
+            })
+    });
+
+    it(sprintf("responds with a 400 when adding an invalid medical record to a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical'))
+            .send({category: 'grooming', name: 'Bath'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .expect(function (res) {
+                expect(_.map(res.body.errors, 'key')).to.have.members(['category', 'date']);
+            })
+    });
+
+    it(sprintf("lists the medical records of a %s by its reference code", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.referenceCode.val, 'medical'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body.petId).to.eql(testPet.petId.val);
+                expect(_.map(res.body.records, '_id')).to.eql([recordId]);
+            })
+    });
+
+    it(sprintf("lists the medical records of a %s that are due soon", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'medical', 'due'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                var dueRecord = _.find(res.body, {_id: recordId});
+
+                expect(dueRecord.isOverdue).to.be.false;
+                expect(dueRecord.animal.petName.val).to.eql('vaccinated pet');
+
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'medical', 'due') + '?withinDays=1')
+                    .set('Accept', 'application/json')
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(_.find(res.body, {_id: recordId})).to.be.undefined;
+            })
+    });
+
+    it(sprintf("no longer lists a medical record of a %s as due once it has been given again", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical'))
+            .send({
+                category: 'vaccination',
+                name: 'rabies',
+                date: new Date().toISOString(),
+                dueDate: new Date(Date.now() + 365 * dayInMs).toISOString()
+            })
+            .set('Accept', 'application/json')
+            .expect(200)
+            .then(function () {
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'medical', 'due'))
+                    .set('Accept', 'application/json')
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(_.filter(res.body, {petId: testPet.petId.val})).to.be.empty;
+            })
+    });
+
+    it(sprintf("changes a medical record of a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical', recordId))
+            .send({notes: 'Given in the left hind leg'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body).to.include({name: 'Rabies', notes: 'Given in the left hind leg'});
+            })
+    });
+
+    it(sprintf("deletes a medical record of a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical', recordId, 'remove'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function () {
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical', recordId))
+                    .set('Accept', 'application/json')
+                    .expect(404);
+            })
+    });
+
+    it(sprintf("returns 401 when the medical records of a %s are requested without logging in", speciesName), function () {
+        config.DEVELOPMENT_ENV = undefined;
+
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'medical'))
+            .set('Accept', 'application/json')
+            .expect(401)
+            .then(function () {
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'medical', 'due'))
+                    .set('Accept', 'application/json')
+                    .expect(401);
+            })
+            .then(function () {
+                config.DEVELOPMENT_ENV = true;
+            }, function (err) {
+                config.DEVELOPMENT_ENV = true;
+                return Promise.reject(err);
+            })
+    });
+});
@@ -0,0 +1,118 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/:petId/notes", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var testPet;
+    var noteId;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return testDb.saveAnimal(speciesName, {petName: 'noted pet', species: speciesName});
+            })
+            .then(function (animalData) {
+                testPet = animalData;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("adds an internal note to a %s by default", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes'))
+            .send({text: 'Nervous around other cats', category: 'behavior'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                noteId = res.body._id;
+                expect(res.body).to.include({
+                    petId: testPet.petId.val,
+                    category: 'behavior',
+                    visibility: 'internal',
+                    createdBy: 'dev'
+                });
+                expect(res.body.createdAt).to.be.a('string');
+            })
+    });
+
+    it(sprintf("responds with a 400 when adding an invalid note to a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes'))
+            .send({text: ' ', visibility: 'everyone'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .expect(function (res) {
+                expect(_.map(res.body.errors, 'key')).to.have.members(['text', 'visibility']);
+            })
+    });
+
+    it(sprintf("lists the notes of a %s newest first", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes'))
+            .send({text: 'Loves being brushed', visibility: 'public'})
+            .set('Accept', 'application/json')
+            .expect(200)
+            .then(function () {
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.referenceCode.val, 'notes'))
+                    .set('Accept', 'application/json')
+                    .expect('Content-Type', /json/)
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(_.map(res.body.notes, 'text')).to.eql(['Loves being brushed', 'Nervous around other cats']);
+
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes') + '?visibility=public')
+                    .set('Accept', 'application/json')
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(_.map(res.body.notes, 'text')).to.eql(['Loves being brushed']);
+            })
+    });
+
+    it(sprintf("changes a note of a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes', noteId))
+            .send({text: 'Nervous around other cats at first'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body).to.include({text: 'Nervous around other cats at first', category: 'behavior', updatedBy: 'dev'});
+            })
+    });
+
+    it(sprintf("deletes a note of a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes', noteId, 'remove'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function () {
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.petId.val, 'notes'))
+                    .set('Accept', 'application/json')
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(_.map(res.body.notes, '_id')).to.not.include(noteId);
+            })
+    });
+});
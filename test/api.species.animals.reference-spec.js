@@ -0,0 +1,93 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("reference codes", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var referenceCodePattern = new RegExp('^' + speciesName.toUpperCase() + '-' + new Date().getUTCFullYear() + '-\\d{4,}$');
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var testPet;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("assigns a reference code to a new %s", speciesName), function () {
+        return testDb.saveAnimal(speciesName, {petName: 'referenced pet', species: speciesName})
+            .then(function (animalData) {
+                testPet = animalData;
+                expect(animalData.referenceCode.val).to.match(referenceCodePattern);
+            })
+    });
+
+    it(sprintf("keeps the reference code of a saved %s", speciesName), function () {
+        return testDb.saveAnimal(speciesName, {petId: testPet.petId.val, petName: 'referenced pet', species: speciesName, referenceCode: 'CHANGED-2026-0001'})
+            .then(function (animalData) {
+                expect(animalData.referenceCode.val).to.eql(testPet.referenceCode.val);
+            })
+    });
+
+    it(sprintf("assigns a different reference code to each %s created at the same time", speciesName), function () {
+        return Promise.all(_.times(5, function (index) {
+                return testDb.saveAnimal(speciesName, {petName: 'concurrent pet ' + index, species: speciesName});
+            }))
+            .then(function (animals) {
+                var referenceCodes = _.map(animals, function (animalData) {
+                    return animalData.referenceCode.val;
+                });
+
+                expect(_.uniq(referenceCodes.concat(testPet.referenceCode.val))).to.have.lengthOf(6);
+            })
+    });
+
+    it(sprintf("finds a %s by its reference code", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'query'))
+            .send({petId: testPet.referenceCode.val.toLowerCase()})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body).to.have.lengthOf(1);
+                expect(res.body[0].petId.val).to.eql(testPet.petId.val);
+            })
+    });
+
+    it(sprintf("reads the status of a %s by its reference code", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', testPet.referenceCode.val, 'status'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body.petId).to.eql(testPet.petId.val);
+            })
+    });
+
+    it(sprintf("saves over a %s given its reference code as the petId", speciesName), function () {
+        return testDb.saveAnimal(speciesName, {petId: testPet.referenceCode.val, petName: 'renamed pet', species: speciesName})
+            .then(function (animalData) {
+                expect(animalData.petId.val).to.eql(testPet.petId.val);
+                expect(animalData.petName.val).to.eql('renamed pet');
+            })
+    });
+});
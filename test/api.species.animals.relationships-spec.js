@@ -0,0 +1,118 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/:petId/relationships", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var parentPet;
+    var kittenPet;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return Promise.all([
+                    testDb.saveAnimal(speciesName, {petName: 'parent pet', species: speciesName}),
+                    testDb.saveAnimal(speciesName, {petName: 'kitten pet', species: speciesName})
+                ]);
+            })
+            .then(function (animals) {
+                parentPet = animals[0];
+                kittenPet = animals[1];
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("links a %s to another animal from both sides", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', parentPet.petId.val, 'relationships', 'link'))
+            .send({petId: kittenPet.petId.val, type: 'parent-of'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.relationships).to.have.lengthOf(1);
+                expect(res.body.relationships[0]).to.include({type: 'parent-of', petId: kittenPet.petId.val});
+                expect(res.body.relationships[0].animal.petName.val).to.eql('kitten pet');
+
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', kittenPet.petId.val, 'relationships'))
+                    .set('Accept', 'application/json')
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(res.body.relationships).to.have.lengthOf(1);
+                expect(res.body.relationships[0]).to.include({type: 'child-of', petId: parentPet.petId.val});
+            })
+    });
+
+    it(sprintf("links a %s given the reference code of the other animal only once", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', parentPet.petId.val, 'relationships', 'link'))
+            .send({petId: kittenPet.referenceCode.val, type: 'parent-of'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body.relationships).to.have.lengthOf(1);
+            })
+    });
+
+    it(sprintf("responds with a 400 when linking a %s with an unknown relationship type", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', parentPet.petId.val, 'relationships', 'link'))
+            .send({petId: kittenPet.petId.val, type: 'friend-of'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .expect(function (res) {
+                expect(res.body.types).to.include('bonded-with');
+            })
+    });
+
+    it(sprintf("includes the related animals of each %s when expanded", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'query', {base: '/api/v2/'}))
+            .send({petName: 'kitten pet', expand: ['related']})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                var animalData = _.find(res.body, {petId: kittenPet.petId.val});
+
+                expect(animalData.relationships[0].animal.petName).to.eql('parent pet');
+            })
+    });
+
+    it(sprintf("unlinks a %s from both sides", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', kittenPet.petId.val, 'relationships', 'unlink'))
+            .send({petId: parentPet.petId.val})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.relationships).to.be.empty;
+
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', parentPet.petId.val, 'relationships'))
+                    .set('Accept', 'application/json')
+                    .expect(200);
+            })
+            .then(function (res) {
+                expect(res.body.relationships).to.be.empty;
+            })
+    });
+});
@@ -0,0 +1,125 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var Animal = require('../core/lib/animal');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/:petId/revisions", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var petId;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return testDb.saveAnimal(speciesName, {petName: 'First Name', species: speciesName}, {userId: 'test-user'});
+            })
+            .then(function (animalData) {
+                petId = animalData.petId.val || animalData.petId;
+
+                return testDb.saveAnimal(speciesName, {petId: petId, petName: 'Second Name', species: speciesName});
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("lists the revisions of a %s, newest first", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body).to.have.lengthOf(2);
+                expect(_.find(res.body[0].props, {key: 'petName'}).val).to.eql('Second Name');
+                expect(_.find(res.body[1].props, {key: 'petName'}).val).to.eql('First Name');
+                expect(res.body[1].userId).to.eql('test-user');
+                expect(res.body[1].timestamp).to.exist;
+            })
+    });
+
+    it(sprintf("shows the changed props between two revisions of a %s", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions'))
+            .expect(200)
+            .then(function (res) {
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions', res.body[1]._id, 'diff', res.body[0]._id))
+                    .set('Accept', 'application/json')
+                    .expect('Content-Type', /json/)
+                    .expect(200)
+            })
+            .then(function (res) {
+                expect(_.find(res.body.changes, {key: 'petName'})).to.eql({key: 'petName', from: 'First Name', to: 'Second Name'});
+                expect(_.find(res.body.changes, {key: 'species'})).to.be.undefined;
+            })
+    });
+
+    it(sprintf("restores a previous revision of a %s", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions'))
+            .expect(200)
+            .then(function (res) {
+                return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions', res.body[1]._id, 'restore'))
+                    .set('Accept', 'application/json')
+                    .expect('Content-Type', /json/)
+                    .expect(200)
+            })
+            .then(function (res) {
+                expect(res.body.petId.val).to.eql(petId);
+                expect(res.body.petName.val).to.eql('First Name');
+
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions'))
+                    .expect(200)
+            })
+            .then(function (res) {
+                // restoring is recorded as a new revision
+                expect(res.body).to.have.lengthOf(3);
+            })
+    });
+
+    it(sprintf("returns 401 when the revisions of a %s are requested without logging in", speciesName), function () {
+        config.DEVELOPMENT_ENV = undefined;
+
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'revisions'))
+            .set('Accept', 'application/json')
+            .expect(401)
+            .then(function () {
+                config.DEVELOPMENT_ENV = true;
+            }, function (err) {
+                config.DEVELOPMENT_ENV = true;
+                return Promise.reject(err);
+            })
+    });
+
+    it(sprintf("keeps the props of a %s saved before revisions were kept", speciesName), function () {
+        var unrevisedPetId;
+
+        return testDb.AnimalDb.saveAnimal(new Animal(testDb.speciesCache[speciesName], {petName: 'Unrevised Name', species: speciesName}), {isV1Format: false})
+            .then(function (animalData) {
+                unrevisedPetId = animalData.petId;
+
+                return testDb.saveAnimal(speciesName, {petId: unrevisedPetId, petName: 'Revised Name', species: speciesName});
+            })
+            .then(function () {
+                return testDb.findAnimalRevisions(unrevisedPetId);
+            })
+            .then(function (revisions) {
+                expect(revisions).to.have.lengthOf(2);
+                expect(_.find(revisions[1].props, {key: 'petName'}).val).to.eql('Unrevised Name');
+            })
+    });
+});
@@ -0,0 +1,88 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/:petId/status", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var petId;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return testDb.saveAnimal(speciesName, {petName: 'status pet', species: speciesName, adoptable: false});
+            })
+            .then(function (animalData) {
+                petId = animalData.petId.val || animalData.petId;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("starts a new %s at intake", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'status'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                expect(res.body.status).to.eql('intake');
+                expect(res.body.nextStatuses).to.include('available');
+                expect(res.body.statusHistory).to.have.lengthOf(1);
+            })
+    });
+
+    it(sprintf("records a status transition of a %s and derives adoptable", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'status'))
+            .send({status: 'available', reason: 'vaccinated'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                var transition = _.last(res.body.statusHistory);
+
+                expect(res.body.status).to.eql('available');
+                expect(transition).to.include({from: 'intake', to: 'available', reason: 'vaccinated', userId: 'dev'});
+                expect(transition.timestamp).to.exist;
+
+                return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'list'))
+                    .query({petName: 'status pet', status: 'available'})
+                    .set('Accept', 'application/json')
+                    .expect(200)
+            })
+            .then(function (res) {
+                expect(res.body).to.have.lengthOf(1);
+                expect(res.body[0].status.val).to.eql('available');
+                expect(res.body[0].adoptable.val).to.be.true;
+            })
+    });
+
+    it(sprintf("rejects an illegal status transition of a %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', petId, 'status'))
+            .send({status: 'returned'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .expect(function (res) {
+                expect(res.body.status).to.eql('available');
+                expect(res.body.nextStatuses).to.not.include('returned');
+            })
+    });
+});
@@ -0,0 +1,112 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/species/:speciesName/animals/trash", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var petId;
+
+    function listPetIds() {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'list'))
+            .set('Accept', 'application/json')
+            .expect(200)
+            .then(function (res) {
+                return _.map(res.body, 'petId.val');
+            });
+    }
+
+    function listTrashedPetIds() {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'animals', 'trash'))
+            .set('Accept', 'application/json')
+            .expect(200)
+            .then(function (res) {
+                return _.map(res.body, 'petId.val');
+            });
+    }
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+            })
+    });
+
+    beforeEach(function () {
+        return testDb.saveAnimal(speciesName, {petName: 'trash pet', species: speciesName})
+            .then(function (animalData) {
+                petId = animalData.petId.val || animalData.petId;
+
+                return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'remove'))
+                    .send({species: speciesName, petId: petId})
+                    .expect(200)
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("hides a removed %s from lists and lists it in the trash", speciesName), function () {
+        return Promise.all([listPetIds(), listTrashedPetIds()])
+            .then(function (results) {
+                expect(results[0]).to.not.include(petId);
+                expect(results[1]).to.include(petId);
+            })
+    });
+
+    it(sprintf("restores a trashed %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'trash', 'restore'))
+            .send({species: speciesName, petId: petId})
+            .expect(200)
+            .then(function () {
+                return Promise.all([listPetIds(), listTrashedPetIds()])
+            })
+            .then(function (results) {
+                expect(results[0]).to.include(petId);
+                expect(results[1]).to.not.include(petId);
+            })
+    });
+
+    it(sprintf("permanently deletes a trashed %s", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'trash', 'purge'))
+            .send({petId: petId})
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.petIds).to.eql([petId]);
+
+                return Promise.all([listPetIds(), listTrashedPetIds()])
+            })
+            .then(function (results) {
+                expect(results[0]).to.not.include(petId);
+                expect(results[1]).to.not.include(petId);
+            })
+    });
+
+    it("permanently deletes animals trashed longer than the retention period", function () {
+        return testDb.purgeAnimals({species: speciesName}, {trashedBefore: new Date(Date.now() - 60 * 1000)})
+            .then(function (petIds) {
+                expect(petIds).to.not.include(petId);
+
+                return testDb.purgeAnimals({species: speciesName}, {trashedBefore: new Date(Date.now() + 60 * 1000)})
+            })
+            .then(function (petIds) {
+                expect(petIds).to.include(petId);
+            })
+    });
+});
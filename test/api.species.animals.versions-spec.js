@@ -0,0 +1,121 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("versioned saves", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    describe("/species/:speciesName/animals/save/json", function () {
+        var petId;
+
+        before(function () {
+            return testDb.saveAnimal(speciesName, {petName: 'versioned pet', species: speciesName})
+                .then(function (animalData) {
+                    petId = animalData.petId.val || animalData.petId;
+                    expect(animalData.version.val).to.eql(1);
+                })
+        });
+
+        it(sprintf("saves over the current version of a %s", speciesName), function () {
+            return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+                .send({petId: petId, petName: 'versioned pet', species: speciesName, color: 'Black (All)', version: 1})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect('ETag', '"2"')
+                .expect(200)
+                .expect(function (res) {
+                    expect(res.body.version.val).to.eql(2);
+                })
+        });
+
+        it(sprintf("responds with a 409 and the current copy when saving over an outdated %s", speciesName), function () {
+            return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+                .send({petId: petId, petName: 'stale pet', species: speciesName})
+                .set('If-Match', '"1"')
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect('ETag', '"2"')
+                .expect(409)
+                .then(function (res) {
+                    expect(res.body.current.petName.val).to.eql('versioned pet');
+                    expect(res.body.current.color.val).to.eql('Black (All)');
+
+                    return testDb.findAnimals({species: speciesName, petName: 'stale pet'}, {isV1Format: false});
+                })
+                .then(function (animals) {
+                    expect(animals).to.be.empty;
+                })
+        });
+
+        it(sprintf("saves any version of a %s without a version", speciesName), function () {
+            return request.post(tHelper.buildEndpoint('species', speciesName, 'animals', 'save', 'json'))
+                .send({petId: petId, petName: 'unversioned pet', species: speciesName})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .expect(function (res) {
+                    expect(res.body.petId.val).to.eql(petId);
+                    expect(res.body.version.val).to.eql(3);
+                })
+        });
+    });
+
+    describe("/species/:speciesName/model/update", function () {
+
+        it(sprintf("responds with a 409 and the current copy when saving over an outdated %s model", speciesName), function () {
+            var speciesProps;
+            var speciesVersion;
+
+            return request.get(tHelper.buildEndpoint('species', speciesName, 'model'))
+                .set('Accept', 'application/json')
+                .expect(200)
+                .then(function (res) {
+                    speciesProps = res.body;
+                    speciesVersion = parseInt(res.get('ETag').replace(/"/g, ''));
+
+                    return request.post(tHelper.buildEndpoint('species', speciesName, 'model', 'update'))
+                        .send({speciesName: speciesName, props: speciesProps})
+                        .set('If-Match', '"' + speciesVersion + '"')
+                        .set('Accept', 'application/json')
+                        .expect('ETag', '"' + (speciesVersion + 1) + '"')
+                        .expect(200)
+                })
+                .then(function () {
+                    return request.post(tHelper.buildEndpoint('species', speciesName, 'model', 'update'))
+                        .send({speciesName: speciesName, props: speciesProps, version: speciesVersion})
+                        .set('Accept', 'application/json')
+                        .expect('Content-Type', /json/)
+                        .expect(409)
+                })
+                .then(function (res) {
+                    expect(res.body.current.version).to.eql(speciesVersion + 1);
+                })
+        });
+    });
+});
@@ -0,0 +1,75 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var sprintf = tHelper.sprintf;
+var expect = chai.expect;
+
+describe("/species/:speciesName/facets", function () {
+    var speciesDbImages = tHelper.getTestDbImages();
+    var request;
+    var database;
+
+    before(function () {
+        this.timeout(20 * 1000);
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                database = testComponents.database;
+                return Promise.resolve();
+            })
+    });
+
+    after(function () {
+        return tHelper.afterAPI()
+    });
+
+    speciesDbImages.forEach(function (dbImage) {
+        var speciesName = dbImage.getSpeciesName();
+        var optionProps = _.filter(dbImage.getSpeciesProps(), function (propData) {
+            return propData.options && propData.options.length > 0;
+        });
+
+        it(sprintf("returns counts for each option of %s species", speciesName), function () {
+
+            return request.get(tHelper.buildEndpoint('species', speciesName, 'facets'))
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(200)
+                .expect(function (res) {
+                    optionProps.forEach(function (propData) {
+                        expect(res.body[propData.key]).to.be.an('Object');
+
+                        propData.options.forEach(function (option) {
+                            expect(res.body[propData.key][option]).to.be.a('Number');
+                        });
+                    });
+                })
+        });
+
+        it(sprintf("returns counts of %s species matching a filter", speciesName), function () {
+            var petName = 'facet-test-' + speciesName;
+
+            return Promise.all([
+                    database.saveAnimal(speciesName, {petName: petName, sex: 'Female'}),
+                    database.saveAnimal(speciesName, {petName: petName, sex: 'Female'}),
+                    database.saveAnimal(speciesName, {petName: petName, sex: 'Male'})
+                ])
+                .then(function () {
+                    return request.post(tHelper.buildEndpoint('species', speciesName, 'facets'))
+                        .send({petName: petName, properties: ['sex']})
+                        .set('Accept', 'application/json')
+                        .expect('Content-Type', /json/)
+                        .expect(200)
+                        .expect(function (res) {
+                            expect(res.body).to.have.all.keys(['sex']);
+                            expect(res.body.sex).to.eql({Male: 1, Female: 2});
+                        })
+                });
+        });
+    });
+});
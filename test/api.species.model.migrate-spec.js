@@ -0,0 +1,124 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var request;
+var testDb;
+
+describe("/species/:speciesName/model/migrate", function () {
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var testSpeciesName = 'migratedspecies-' + Date.now();
+    var speciesProps = [
+        {key: 'petName', fieldLabel: 'Name', valType: 'String'},
+        {key: 'color', fieldLabel: 'Color', valType: 'String'},
+        {key: 'weight', fieldLabel: 'Weight', valType: 'String'},
+        {key: 'size', fieldLabel: 'Size', options: ['Small', 'XL'], valType: 'String'}
+    ];
+    var operations = [
+        {op: 'rename', key: 'color', to: 'coatColor'},
+        {op: 'retype', key: 'weight', valType: 'Float'},
+        {op: 'mapOptions', key: 'size', map: {XL: 'Large'}}
+    ];
+    var petIds;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'create'))
+                    .set('Accept', 'application/json')
+                    .send(speciesProps)
+                    .expect(200);
+            })
+            .then(function () {
+                return testDb.findSpecies(testSpeciesName);
+            })
+            .then(function () {
+                return Promise.all([
+                    {petName: 'migrated pet 1', color: 'Black', weight: '12.5', size: 'XL'},
+                    {petName: 'migrated pet 2', color: 'Brown', weight: 'heavy', size: 'Small'},
+                    {petName: 'migrated pet 3'}
+                ].map(function (values) {
+                    return testDb.saveAnimal(testSpeciesName, _.assign({species: testSpeciesName}, values));
+                }));
+            })
+            .then(function (animals) {
+                petIds = animals.map(function (animalData) {
+                    return animalData.petId.val || animalData.petId;
+                });
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+
+        return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'remove'))
+            .set('Accept', 'application/json')
+            .then(function () {
+                return tHelper.afterAPI();
+            })
+    });
+
+    it("rejects invalid operations", function () {
+        return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'migrate'))
+            .send({operations: [{op: 'rename', key: 'color'}]})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+            .expect(function (res) {
+                expect(res.body.message).to.eql('Invalid migration');
+                expect(res.body.errors).to.eql([{index: 0, message: '`to` is required'}]);
+            })
+    });
+
+    it("previews a migration without saving it", function () {
+        return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'migrate'))
+            .send({operations: operations, dryRun: true})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body).to.include({dryRun: true, animalCount: 3, changedCount: 2});
+                expect(res.body.changedPetIds).to.have.members(petIds.slice(0, 2));
+                expect(res.body.failures).to.eql([{petId: petIds[1], key: 'weight', val: 'heavy', message: 'value must be a Float'}]);
+
+                return testDb.findAnimals({species: testSpeciesName, petId: petIds[0]}, {isV1Format: false});
+            })
+            .then(function (animals) {
+                expect(animals[0]).to.include({color: 'Black', size: 'XL', version: 1});
+            })
+    });
+
+    it("migrates the props of every animal of the species", function () {
+        return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'migrate'))
+            .send({operations: operations})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body).to.include({dryRun: false, changedCount: 2});
+
+                return Promise.all([
+                    testDb.findAnimals({species: testSpeciesName, petId: petIds[0]}, {isV1Format: false}),
+                    testDb.findAnimalRevisions(petIds[0])
+                ]);
+            })
+            .then(function (results) {
+                var animalData = results[0][0];
+
+                expect(animalData).to.include({coatColor: 'Black', weight: 12.5, size: 'Large', version: 2});
+                expect(animalData).to.not.have.property('color');
+                expect(results[1]).to.have.lengthOf(2);
+            })
+    });
+});
@@ -0,0 +1,113 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var request;
+
+describe("/species/:speciesName/model/versions", function () {
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+    var testSpeciesName = 'versionedSpecies-' + Date.now();
+    var initialProps = [
+        {key: 'size', fieldLabel: 'Size', options: ['Small', 'Large'], valType: 'String'},
+        {key: 'color', fieldLabel: 'Color', valType: 'String'}
+    ];
+    var changedProps = [
+        {key: 'size', fieldLabel: 'Weight class', options: ['Small', 'Large', 'XL'], valType: 'String'},
+        {key: 'microchipped', fieldLabel: 'Microchipped', valType: 'Boolean'}
+    ];
+    var speciesVersions;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+
+                return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'create'))
+                    .set('Accept', 'application/json')
+                    .send(initialProps)
+                    .expect(200);
+            })
+            .then(function () {
+                return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'update'))
+                    .set('Accept', 'application/json')
+                    .send(changedProps)
+                    .expect(200);
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+
+        return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'remove'))
+            .set('Accept', 'application/json')
+            .then(function () {
+                return tHelper.afterAPI();
+            })
+    });
+
+    it("lists the versions of a species newest first", function () {
+        return request.get(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'versions'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                speciesVersions = res.body;
+                expect(_.map(speciesVersions, 'version')).to.eql([2, 1]);
+                expect(speciesVersions[1].propCount).to.eql(2);
+            })
+    });
+
+    it("diffs the props of two versions of a species", function () {
+        return request.get(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'versions', speciesVersions[1]._id, 'diff', speciesVersions[0]._id))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                var sizeChange = _.find(res.body.changes, {key: 'size'});
+
+                expect(_.find(res.body.changes, {key: 'color'}).change).to.eql('removed');
+                expect(_.find(res.body.changes, {key: 'microchipped'}).change).to.eql('added');
+                expect(sizeChange.fields).to.eql([{field: 'fieldLabel', from: 'Size', to: 'Weight class'}]);
+                expect(sizeChange.addedOptions).to.eql(['XL']);
+            })
+    });
+
+    it("returns 401 when the versions of a species are requested without logging in", function () {
+        config.DEVELOPMENT_ENV = undefined;
+
+        return request.get(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'versions'))
+            .set('Accept', 'application/json')
+            .expect(401)
+            .then(function () {
+                config.DEVELOPMENT_ENV = true;
+            }, function (err) {
+                config.DEVELOPMENT_ENV = true;
+                return Promise.reject(err);
+            })
+    });
+
+    it("restores a previous version of a species as a new version", function () {
+        return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'versions', speciesVersions[1]._id, 'restore'))
+            .set('Accept', 'application/json')
+            .set('If-Match', '"2"')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.version).to.eql(3);
+                expect(_.map(res.body.props, 'key')).to.eql(['size', 'color']);
+
+                return request.post(tHelper.buildEndpoint('species', testSpeciesName, 'model', 'versions', speciesVersions[1]._id, 'restore'))
+                    .set('Accept', 'application/json')
+                    .set('If-Match', '"2"')
+                    .expect(409);
+            })
+    });
+});
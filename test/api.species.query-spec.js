@@ -42,6 +42,40 @@ describe("/species/all/query", function () {
             .expect(200)
     });
 
+    describe("when strict flag is set", function () {
+
+        it("responds with a 400 listing each invalid prop", function () {
+            var queryProps = {
+                species: 'dog',
+                colour: 'Black',
+                sex: 'Unknown',
+                intakeDate: 'yesterday',
+                strict: true
+            };
+
+            return request.post(tHelper.buildEndpoint('species', 'all', 'query'))
+                .set('Accept', 'application/json')
+                .send(queryProps)
+                .expect('Content-Type', /json/)
+                .expect(400)
+                .expect(function (res) {
+                    expect(_.map(res.body.errors, 'key')).to.have.members(['colour', 'sex', 'intakeDate']);
+                })
+        });
+
+        it("accepts a valid query", function () {
+            var queryProps = {
+                sex: 'Female'
+            };
+
+            return request.post(tHelper.buildEndpoint('species', 'dog', 'query') + '?strict=true')
+                .set('Accept', 'application/json')
+                .send(queryProps)
+                .expect('Content-Type', /json/)
+                .expect(200)
+        });
+    });
+
     describe('for each species', function () {
 
         speciesDbImages.forEach(function (dbImage) {
@@ -0,0 +1,76 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var expect = chai.expect;
+var sprintf = tHelper.sprintf;
+var request;
+var testDb;
+
+describe("/stats", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+    var devEnvFlag = config.DEVELOPMENT_ENV;
+
+    before(function () {
+        this.timeout(20 * 1000);
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                testDb = testComponents.database;
+
+                return testDb.saveAnimal(speciesName, {
+                    petName: 'counted pet',
+                    species: speciesName,
+                    intakeDate: new Date(),
+                    adoptable: true,
+                    lost: false
+                });
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = devEnvFlag;
+        return tHelper.afterAPI()
+    });
+
+    it(sprintf("counts the intake and population of each %s", speciesName), function () {
+        return request.get(tHelper.buildEndpoint('species', speciesName, 'stats'))
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .expect(function (res) {
+                var speciesStats = _.find(res.body.species, {speciesName: speciesName});
+
+                expect(res.body.species).to.have.lengthOf(1);
+                expect(speciesStats.intakes).to.be.at.least(1);
+                expect(speciesStats.population).to.be.at.least(1);
+                expect(speciesStats.adoptable).to.be.at.least(1);
+                expect(res.body.total.speciesName).to.eql('all');
+            })
+    });
+
+    it("responds with the stats as a CSV", function () {
+        return request.get(tHelper.buildEndpoint('stats') + '?format=csv')
+            .expect('Content-Type', /csv/)
+            .expect(200)
+            .expect(function (res) {
+                var lines = _.compact(res.text.split('\n'));
+
+                expect(lines[0]).to.eql('speciesName,intakes,adoptions,population,averageLengthOfStay,medianLengthOfStay,adoptable,notAdoptable,lost,notLost');
+                expect(_.last(lines)).to.match(/^all,/);
+            })
+    });
+
+    it("responds with a 400 when `from` is after `to`", function () {
+        return request.get(tHelper.buildEndpoint('stats') + '?from=2026-10-01&to=2026-09-01')
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400)
+    });
+});
@@ -30,4 +30,10 @@ describe("/user", function () {
             .set('Accept', 'application/json')
             .expect(401)
     });
+
+    it("returns 401 when unauthorized saved searches request made", function () {
+        return request.get(tHelper.buildEndpoint('user', 'searches'))
+            .set('Accept', 'application/json')
+            .expect(401)
+    });
 });
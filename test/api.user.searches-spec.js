@@ -0,0 +1,100 @@
+var supertest = require('supertest');
+var _ = require('lodash');
+var chai = require('chai');
+
+var config = require('../core/config');
+var TestHelper = require('./helper');
+
+var tHelper = new TestHelper();
+var sprintf = tHelper.sprintf;
+var expect = chai.expect;
+var processEnvDevelopmentFlag = process.env.DEVELOPMENT_ENV;
+var request;
+
+describe("/user/searches", function () {
+    var speciesName = tHelper.getTestDbImages()[0].getSpeciesName();
+
+    before(function () {
+        this.timeout(20 * 1000);
+
+        // development environments use a 'dev' user
+        config.DEVELOPMENT_ENV = true;
+
+        return tHelper.beforeAPI()
+            .then(function (testComponents) {
+                request = supertest(testComponents.server);
+                return Promise.resolve();
+            })
+    });
+
+    after(function () {
+        config.DEVELOPMENT_ENV = processEnvDevelopmentFlag;
+        return tHelper.afterAPI()
+    });
+
+    it("saves, lists, updates and removes a saved search", function () {
+        var searchId;
+
+        return request.post(tHelper.buildEndpoint('user', 'searches'))
+            .send({name: 'Adoptable', query: {species: speciesName}})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .then(function (res) {
+                expect(res.body.name).to.eql('Adoptable');
+                expect(res.body.query).to.eql({species: speciesName});
+                expect(res.body._id).to.be.a('String');
+                searchId = res.body._id;
+
+                return request.get(tHelper.buildEndpoint('user', 'searches'))
+                    .set('Accept', 'application/json')
+                    .expect(200)
+            })
+            .then(function (res) {
+                expect(_.map(res.body, '_id')).to.include(searchId);
+
+                return request.post(tHelper.buildEndpoint('user', 'searches', searchId))
+                    .send({name: 'Renamed', query: {species: speciesName}})
+                    .set('Accept', 'application/json')
+                    .expect(200)
+            })
+            .then(function (res) {
+                expect(res.body._id).to.eql(searchId);
+                expect(res.body.name).to.eql('Renamed');
+
+                return request.post(tHelper.buildEndpoint('user', 'searches', searchId, 'remove'))
+                    .set('Accept', 'application/json')
+                    .expect(200)
+            })
+            .then(function () {
+                return request.get(tHelper.buildEndpoint('user', 'searches', searchId))
+                    .set('Accept', 'application/json')
+                    .expect(404)
+            })
+    });
+
+    it("returns 400 when saving a search without a name", function () {
+        return request.post(tHelper.buildEndpoint('user', 'searches'))
+            .send({query: {species: speciesName}})
+            .expect(400)
+    });
+
+    it(sprintf("runs a saved search of %s species", speciesName), function () {
+        return request.post(tHelper.buildEndpoint('user', 'searches'))
+            .send({name: 'All ' + speciesName, query: {species: speciesName}})
+            .expect(200)
+            .then(function (res) {
+                return request.get(tHelper.buildEndpoint('user', 'searches', res.body._id, 'run'))
+                    .set('Accept', 'application/json')
+                    .expect('Content-Type', /json/)
+                    .expect(200)
+            })
+            .then(function (res) {
+                expect(res.body).to.be.an('Array');
+                expect(res.body).to.have.length.above(0);
+                _.forEach(res.body, function (petData) {
+                    expect(petData.species.val).to.eql(speciesName);
+                });
+            })
+    });
+});
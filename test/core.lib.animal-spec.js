@@ -85,3 +85,59 @@ describe("Animal", function () {
         })
     });
 });
+
+describe("Animal.getLocations()", function () {
+    var Animal = require('../core/lib/animal');
+
+    it("returns a GeoJSON point for each pair of Location props", function () {
+        var testAnimal = new Animal(testSpecies, {
+            shelterGeoLat: '28.5383',
+            shelterGeoLon: -81.3792
+        });
+
+        expect(testAnimal.getLocations()).to.eql({
+            shelterGeo: {
+                type: 'Point',
+                coordinates: [-81.3792, 28.5383]
+            }
+        });
+    });
+});
+
+describe("Animal.validate()", function () {
+    var Animal = require('../core/lib/animal');
+    var validAnimalProps = {
+        petName: 'validate-test',
+        intakeDate: '2026-03-04',
+        adoptable: 'true',
+        lost: false,
+        caseActive: 'no',
+        sex: 'female'
+    };
+
+    it("returns no errors for valid values", function () {
+        var testAnimal = new Animal(testSpecies, validAnimalProps);
+
+        expect(testAnimal.validate()).to.eql([]);
+    });
+
+    it("returns an error for each missing required value of a new animal", function () {
+        var testAnimal = new Animal(testSpecies, _.omit(validAnimalProps, ['intakeDate', 'lost']));
+        var errors = testAnimal.validate();
+
+        expect(_.map(errors, 'key')).to.have.members(['intakeDate', 'lost']);
+        expect(errors[0].message).to.eql('value is required');
+        expect(testAnimal.validate({isNew: false})).to.eql([]);
+    });
+
+    it("returns an error for each value that cannot be converted or is not an option", function () {
+        var testAnimal = new Animal(testSpecies, _.defaults({adoptable: 'maybe', intakeDate: 'soon', sex: 'unknown'}, validAnimalProps));
+        var errors = testAnimal.validate();
+
+        expect(errors).to.have.deep.members([
+            {key: 'adoptable', val: 'maybe', message: 'value must be a Boolean'},
+            {key: 'intakeDate', val: 'soon', message: 'value must be a Date'},
+            {key: 'sex', val: 'unknown', message: 'value must be one of the property options'}
+        ]);
+    });
+});
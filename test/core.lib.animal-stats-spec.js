@@ -0,0 +1,104 @@
+var _ = require('lodash');
+var chai = require('chai');
+
+var AnimalStats = require('../core/lib/animal-stats');
+
+var expect = chai.expect;
+
+describe("AnimalStats", function () {
+    var range = {
+        from: new Date('2026-09-01T00:00:00.000Z'),
+        to: new Date('2026-09-30T23:59:59.999Z')
+    };
+    var toHistory = function (entries) {
+        return _.map(entries, function (entry) {
+            return {from: entry[0], to: entry[1], timestamp: new Date(entry[2])};
+        });
+    };
+    var animals = [
+        {
+            speciesName: 'dog',
+            intakeDate: new Date('2026-08-22T00:00:00.000Z'),
+            adoptable: false,
+            lost: false,
+            status: 'adopted',
+            statusHistory: toHistory([
+                [null, 'available', '2026-08-22'],
+                ['available', 'adoption-pending', '2026-09-05'],
+                ['adoption-pending', 'adopted', '2026-09-11']
+            ])
+        },
+        {
+            speciesName: 'dog',
+            intakeDate: new Date('2026-09-10T00:00:00.000Z'),
+            adoptable: true,
+            lost: true,
+            status: 'adopted',
+            statusHistory: toHistory([
+                [null, 'available', '2026-09-10'],
+                ['available', 'adoption-pending', '2026-09-15'],
+                ['adoption-pending', 'adopted', '2026-10-02']
+            ])
+        },
+        {
+            speciesName: 'cat',
+            intakeDate: new Date('2026-09-20T00:00:00.000Z'),
+            adoptable: 'yes',
+            lost: false,
+            status: 'available',
+            statusHistory: toHistory([[null, 'available', '2026-09-20']])
+        },
+        {
+            speciesName: 'cat',
+            intakeDate: new Date('2026-10-05T00:00:00.000Z'),
+            adoptable: false,
+            lost: false,
+            status: 'intake',
+            statusHistory: toHistory([[null, 'intake', '2026-10-05']])
+        }
+    ];
+
+    describe("toRange()", function () {
+
+        it("includes the whole day of a `to` date without a time", function () {
+            var statsRange = AnimalStats.toRange({from: '2026-09-01', to: '2026-09-30'});
+
+            expect(statsRange.from.toISOString()).to.eql('2026-09-01T00:00:00.000Z');
+            expect(statsRange.to.toISOString()).to.eql('2026-09-30T23:59:59.999Z');
+        });
+
+        it("defaults to the 30 days before now", function () {
+            var statsRange = AnimalStats.toRange({});
+
+            expect(statsRange.to - statsRange.from).to.eql(30 * 24 * 60 * 60 * 1000);
+        });
+    });
+
+    describe("getStatusAt()", function () {
+
+        it("returns the status an animal had at a date", function () {
+            expect(AnimalStats.getStatusAt(animals[1], range.to)).to.eql('adoption-pending');
+            expect(AnimalStats.getStatusAt(animals[1], new Date('2026-10-03'))).to.eql('adopted');
+        });
+    });
+
+    describe("toStats()", function () {
+
+        it("computes the stats of each species over the range", function () {
+            var stats = AnimalStats.toStats(animals, range);
+            var dogStats = _.find(stats.species, {speciesName: 'dog'});
+            var catStats = _.find(stats.species, {speciesName: 'cat'});
+
+            expect(dogStats).to.include({intakes: 1, adoptions: 1, population: 1, averageLengthOfStay: 20, medianLengthOfStay: 20});
+            expect(dogStats).to.include({adoptable: 1, notAdoptable: 0, lost: 1, notLost: 0});
+            expect(catStats).to.include({intakes: 1, adoptions: 0, population: 1, averageLengthOfStay: null, adoptable: 1});
+            expect(stats.total).to.include({speciesName: 'all', intakes: 2, adoptions: 1, population: 2});
+        });
+
+        it("returns the rows of each species followed by the total", function () {
+            var rows = AnimalStats.toRows(AnimalStats.toStats(animals, range));
+
+            expect(_.map(rows, 'speciesName')).to.eql(['cat', 'dog', 'all']);
+        });
+    });
+});
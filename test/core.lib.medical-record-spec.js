@@ -0,0 +1,49 @@
+var _ = require('lodash');
+var chai = require('chai');
+
+var MedicalRecord = require('../core/lib/medical-record');
+
+var expect = chai.expect;
+
+describe("MedicalRecord", function () {
+
+    describe("validate()", function () {
+
+        it("requires a category, name and date for a new record", function () {
+            var errors = MedicalRecord.validate({vet: 'Dr. Lee'});
+
+            expect(_.map(errors, 'key')).to.have.members(['category', 'name', 'date']);
+        });
+
+        it("only checks the fields sent with an update", function () {
+            expect(MedicalRecord.validate({dueDate: '2026-11-01'}, {isNew: false})).to.be.empty;
+            expect(_.map(MedicalRecord.validate({name: ' '}, {isNew: false}), 'key')).to.eql(['name']);
+        });
+
+        it("rejects unknown categories and invalid dates", function () {
+            var errors = MedicalRecord.validate({category: 'grooming', name: 'Bath', date: '2026-10-01', dueDate: 'soon'});
+
+            expect(errors).to.have.lengthOf(2);
+            expect(_.find(errors, {key: 'category'}).message).to.contain('vaccination');
+            expect(_.find(errors, {key: 'dueDate'}).message).to.eql('value must be a Date');
+        });
+    });
+
+    describe("toRecordFields()", function () {
+
+        it("keeps the saved fields and converts dates", function () {
+            var recordFields = MedicalRecord.toRecordFields({
+                category: 'vaccination',
+                name: ' Rabies ',
+                date: '2026-10-01',
+                dueDate: '',
+                petId: 'ignored'
+            });
+
+            expect(recordFields).to.have.all.keys(['category', 'name', 'date', 'dueDate']);
+            expect(recordFields.name).to.eql('Rabies');
+            expect(recordFields.date).to.be.an.instanceof(Date);
+            expect(recordFields.dueDate).to.be.null;
+        });
+    });
+});
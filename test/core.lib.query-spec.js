@@ -27,4 +27,370 @@ describe("AnimalQuery", function () {
         expect(testQueryData.propName.val).to.match(/testValue/);
         expect(testQueryData.anotherPropName.val).to.eql(parseInt(testAnotherPropNameVal));
     });
-});
\ No newline at end of file
+});
+describe("AnimalQuery range operators", function () {
+    var Species = require('../core/lib/species');
+    var testSpecies = new Species('rangeTestSpecies', [
+        {
+            key: 'shelterId',
+            valType: 'Number'
+        },
+        {
+            key: 'weight',
+            valType: 'Float'
+        },
+        {
+            key: 'intakeDate',
+            valType: 'Date'
+        }
+    ]);
+
+    function getElemMatch(mongoQuery, propName) {
+        return _.find(mongoQuery.props.$all, function (propQuery) {
+            return propQuery.$elemMatch.key === propName;
+        }).$elemMatch;
+    }
+
+    it("coerces range values per the species valType", function () {
+        var testQuery = new AnimalQuery({shelterId: {gt: '3', lte: '9'}, weight: {lt: '10.5'}}, testSpecies);
+        var testQueryData = testQuery.toFormattedObject();
+
+        expect(testQueryData.shelterId.val).to.eql({gt: 3, lte: 9});
+        expect(testQueryData.weight.val).to.eql({lt: 10.5});
+    });
+
+    it("converts range operators to mongodb comparison operators", function () {
+        var testQuery = new AnimalQuery({shelterId: {gte: 3, lt: 9}}, testSpecies);
+
+        expect(getElemMatch(testQuery.toMongoQuery(), 'shelterId').val).to.eql({$gte: 3, $lt: 9});
+    });
+
+    it("converts 'between' to an inclusive range", function () {
+        var testQuery = new AnimalQuery({shelterId: {between: ['3', '9']}}, testSpecies);
+
+        expect(getElemMatch(testQuery.toMongoQuery(), 'shelterId').val).to.eql({$gte: 3, $lte: 9});
+    });
+
+    it("normalizes date range values to ISO strings", function () {
+        var testQuery = new AnimalQuery({intakeDate: {gt: '2026-01-01'}}, testSpecies);
+
+        expect(getElemMatch(testQuery.toMongoQuery(), 'intakeDate').val).to.eql({$gt: new Date('2026-01-01').toISOString()});
+    });
+
+    it("accepts range values in an array of v1 props", function () {
+        var testQuery = new AnimalQuery([
+            {
+                key: 'shelterId',
+                val: {lt: '5'}
+            }
+        ], testSpecies);
+
+        expect(getElemMatch(testQuery.toMongoQuery(), 'shelterId').val).to.eql({$lt: 5});
+    });
+});
+
+describe("AnimalQuery near", function () {
+    var testNear = {
+        location: 'shelterGeo',
+        lat: 28.5383,
+        lon: -81.3792,
+        radius: 25
+    };
+
+    it("restricts the query to a radius around the location", function () {
+        var testQuery = new AnimalQuery({species: 'dog', near: testNear});
+        var geoQuery = testQuery.toMongoQuery()['locations.shelterGeo'];
+
+        expect(testQuery.isGeoQuery()).to.be.true;
+        expect(geoQuery.$geoWithin.$centerSphere[0]).to.eql([testNear.lon, testNear.lat]);
+        expect(geoQuery.$geoWithin.$centerSphere[1]).to.be.closeTo(testNear.radius / 6378.1, 0.000001);
+    });
+
+    it("ignores an invalid location", function () {
+        var testQuery = new AnimalQuery({species: 'dog', near: {location: 'shelterGeo', lat: 'n/a', lon: 0, radius: 5}});
+
+        expect(testQuery.isGeoQuery()).to.be.false;
+        expect(testQuery.toMongoQuery()).not.to.have.property('locations.shelterGeo');
+    });
+
+    it("finds the animals nearest the location with a $geoNear stage", function () {
+        var testQuery = new AnimalQuery({species: 'dog', near: testNear});
+        var geoNear = testQuery.toGeoNearStage(testQuery.toMongoQuery(), {limit: 20}).$geoNear;
+
+        expect(geoNear.near.coordinates).to.eql([testNear.lon, testNear.lat]);
+        expect(geoNear).to.include({key: 'locations.shelterGeo', maxDistance: 25000, distanceField: 'distance', limit: 20});
+        expect(geoNear.query).not.to.have.property('locations.shelterGeo');
+    });
+
+    it("calculates the distance to an animal's location", function () {
+        var testQuery = new AnimalQuery([{key: 'near', val: testNear}]);
+        var distance = testQuery.getDistance({
+            shelterGeo: {
+                type: 'Point',
+                coordinates: [-81.3792, 28.6383]
+            }
+        });
+
+        // 0.1 degrees of latitude is roughly 11.1 km
+        expect(distance).to.be.closeTo(11.1, 0.1);
+    });
+});
+
+describe("AnimalQuery filters", function () {
+    var Species = require('../core/lib/species');
+    var testSpecies = new Species('filterTestSpecies', [
+        {
+            key: 'color',
+            valType: 'String'
+        },
+        {
+            key: 'sex',
+            valType: 'String'
+        },
+        {
+            key: 'shelterId',
+            valType: 'Number'
+        },
+        {
+            key: 'microchip_number',
+            valType: 'String'
+        }
+    ]);
+
+    function getElemMatch(queries, propName) {
+        return _.find(queries, function (propQuery) {
+            return (propQuery.props || propQuery).$elemMatch.key === propName;
+        });
+    }
+
+    it("matches any of an array of values", function () {
+        var testQuery = new AnimalQuery({color: ['Black', 'White'], shelterId: ['3', '4']}, testSpecies);
+        var mongoQuery = testQuery.toMongoQuery();
+        var colorQuery = getElemMatch(mongoQuery.props.$all, 'color').$elemMatch.val;
+
+        expect(colorQuery.$in).to.have.lengthOf(2);
+        expect('black').to.match(colorQuery.$in[0]);
+        expect('White').to.match(colorQuery.$in[1]);
+        expect(getElemMatch(mongoQuery.props.$all, 'shelterId').$elemMatch.val).to.eql({$in: [3, 4]});
+    });
+
+    it("excludes animals matching a negated value", function () {
+        var testQuery = new AnimalQuery({sex: {not: 'Male'}, matchStartFor: ['sex'], matchEndFor: ['sex']}, testSpecies);
+        var mongoQuery = testQuery.toMongoQuery();
+
+        expect(mongoQuery.props).not.to.exist;
+        expect(getElemMatch(mongoQuery.$nor, 'sex').props.$elemMatch.val.toString()).to.eql('/^Male$/');
+    });
+
+    it("excludes animals matching any of a negated array of values", function () {
+        var testQuery = new AnimalQuery({shelterId: {not: [3, 4]}}, testSpecies);
+
+        expect(getElemMatch(testQuery.toMongoQuery().$nor, 'shelterId').props.$elemMatch.val).to.eql({$in: [3, 4]});
+    });
+
+    it("matches animals with or without a value set", function () {
+        var testQuery = new AnimalQuery({color: {exists: 'true'}, microchip_number: {exists: false}}, testSpecies);
+        var mongoQuery = testQuery.toMongoQuery();
+        var existsQuery = {$exists: true, $nin: [null, '']};
+
+        expect(getElemMatch(mongoQuery.props.$all, 'color').$elemMatch.val).to.eql(existsQuery);
+        expect(getElemMatch(mongoQuery.$nor, 'microchip_number').props.$elemMatch.val).to.eql(existsQuery);
+    });
+});
+
+describe("AnimalQuery q", function () {
+
+    it("adds a full-text search to the query", function () {
+        var testQuery = new AnimalQuery({species: 'dog', q: ' calm senior lab '});
+
+        expect(testQuery.isTextQuery()).to.be.true;
+        expect(testQuery.toMongoQuery().$text).to.eql({$search: 'calm senior lab'});
+    });
+
+    it("ignores an empty search", function () {
+        var testQuery = new AnimalQuery([{key: 'q', val: ''}]);
+
+        expect(testQuery.isTextQuery()).to.be.false;
+        expect(testQuery.toMongoQuery()).to.eql({});
+    });
+});
+
+describe("AnimalQuery sortBy", function () {
+    var Species = require('../core/lib/species');
+    var testSpecies = new Species('sortTestSpecies', [
+        {
+            key: 'intakeDate',
+            valType: 'Date'
+        }
+    ]);
+
+    it("parses sort fields from a string", function () {
+        var testQuery = new AnimalQuery({sortBy: 'intakeDate:desc,petName:asc'}, testSpecies);
+
+        expect(testQuery.getSortFields()).to.eql([
+            {key: 'intakeDate', valType: 'Date', order: -1, isDocProp: false},
+            {key: 'petName', valType: 'String', order: 1, isDocProp: false}
+        ]);
+    });
+
+    it("parses sort fields from an array", function () {
+        var testQuery = new AnimalQuery({sortBy: ['shelterId']});
+
+        expect(testQuery.getSortFields()).to.eql([
+            {key: 'shelterId', valType: null, order: 1, isDocProp: false}
+        ]);
+        expect(testQuery.toMongoQuery()).to.eql({});
+    });
+
+    it("does not match the sorted props as a regex", function () {
+        var testQuery = new AnimalQuery({sortBy: 'shelterId', shelterId: 7, q: 'shelterId'});
+
+        expect(testQuery.toMongoValue(testQuery.toFormattedObject().shelterId)).to.eql(7);
+    });
+});
+
+describe("AnimalQuery status", function () {
+
+    it("matches the status field of the animal document", function () {
+        var testQuery = new AnimalQuery({status: ['available', 'adoption-pending'], matchStartFor: ['status'], matchEndFor: ['status']});
+
+        expect(testQuery.toMongoQuery()).to.eql({
+            status: {$in: [/^available$/, /^adoption\-pending$/]}
+        });
+    });
+
+    it("excludes a status", function () {
+        var testQuery = new AnimalQuery({status: {not: 'adopted'}, matchStartFor: ['status'], matchEndFor: ['status']});
+
+        expect(testQuery.toMongoQuery()).to.eql({
+            $nor: [{status: /^adopted$/}]
+        });
+    });
+
+    it("sorts by the status field of the animal document", function () {
+        var testQuery = new AnimalQuery({sortBy: 'status'});
+
+        expect(testQuery.getSortFields()).to.eql([
+            {key: 'status', valType: 'String', order: 1, isDocProp: true}
+        ]);
+    });
+});
+
+describe("AnimalQuery audit fields", function () {
+
+    it("matches a range of the createdAt field of the animal document with dates", function () {
+        var testQuery = new AnimalQuery({createdAt: {gte: '2026-01-01', lt: '2026-02-01'}});
+
+        expect(testQuery.toMongoQuery()).to.eql({
+            createdAt: {$gte: new Date('2026-01-01'), $lt: new Date('2026-02-01')}
+        });
+    });
+
+    it("matches the updatedBy field of the animal document", function () {
+        var testQuery = new AnimalQuery({updatedBy: 'testUserId', matchStartFor: ['updatedBy'], matchEndFor: ['updatedBy']});
+
+        expect(testQuery.toMongoQuery()).to.eql({
+            updatedBy: /^testUserId$/
+        });
+    });
+
+    it("sorts by the updatedAt field of the animal document", function () {
+        var testQuery = new AnimalQuery({sortBy: 'updatedAt:desc'});
+
+        expect(testQuery.getSortFields()).to.eql([
+            {key: 'updatedAt', valType: 'Date', order: -1, isDocProp: true}
+        ]);
+    });
+});
+
+describe("AnimalQuery reference codes", function () {
+
+    it("matches the reference code given as the petId", function () {
+        var testQuery = new AnimalQuery({petId: 'dog-2026-0042'});
+
+        expect(testQuery.toMongoQuery()).to.eql({
+            referenceCode: 'DOG-2026-0042'
+        });
+    });
+
+    it("matches other ids given as the petId", function () {
+        var testQuery = new AnimalQuery({hashId: '5823c7aaaaaaaaaaaaaaaaaa'});
+
+        expect(testQuery.toMongoQuery()).to.eql({
+            petId: '5823c7aaaaaaaaaaaaaaaaaa'
+        });
+    });
+});
+
+describe("AnimalQuery expand", function () {
+
+    it("parses the data to expand without matching it as a prop", function () {
+        var testQuery = new AnimalQuery({expand: 'related', petName: 'Max', ignoreCase: ['petName']});
+
+        expect(testQuery.isExpanded('related')).to.be.true;
+        expect(testQuery.toMongoQuery()).to.eql({
+            props: {$all: [{$elemMatch: {key: 'petName', val: /Max/i}}]}
+        });
+    });
+});
+
+describe("AnimalQuery validate()", function () {
+    var Species = require('../core/lib/species');
+    var testSpecies = new Species('dog', [
+        {
+            key: 'sex',
+            valType: 'String',
+            options: ['Male', 'Female']
+        },
+        {
+            key: 'shelterId',
+            valType: 'Number'
+        },
+        {
+            key: 'adoptable',
+            valType: 'Boolean',
+            options: [true, false]
+        },
+        {
+            key: 'intakeDate',
+            valType: 'Date'
+        }
+    ]);
+
+    it("returns no errors for a valid query", function () {
+        var testQuery = new AnimalQuery({
+            species: 'dog',
+            sex: ['female', 'Male'],
+            shelterId: {between: [3, '9']},
+            adoptable: 'yes',
+            intakeDate: {gt: '2026-01-01'},
+            status: 'available',
+            sortBy: 'intakeDate:desc',
+            strict: true
+        }, testSpecies);
+
+        expect(testQuery.isStrict()).to.be.true;
+        expect(testQuery.validate()).to.eql([]);
+    });
+
+    it("returns an error for each invalid prop", function () {
+        var testQuery = new AnimalQuery({
+            colour: 'Black',
+            sex: {not: 'Unknown'},
+            shelterId: 'three',
+            intakeDate: 'yesterday',
+            petName: {gt: 'A'},
+            status: 'lost',
+            sortBy: ['size']
+        }, testSpecies);
+
+        expect(_.map(testQuery.validate(), 'key')).to.eql(['colour', 'sex', 'shelterId', 'intakeDate', 'petName', 'status', 'size']);
+    });
+
+    it("requires a species", function () {
+        var testQuery = new AnimalQuery({sex: 'Male'});
+
+        expect(testQuery.validate()).to.have.lengthOf(1);
+        expect(testQuery.validate()[0].key).to.eql('species');
+    });
+});
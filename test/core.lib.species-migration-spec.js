@@ -0,0 +1,87 @@
+var _ = require('lodash');
+var chai = require('chai');
+
+var Species = require('../core/lib/species');
+var SpeciesMigration = require('../core/lib/species-migration');
+
+var expect = chai.expect;
+
+describe("SpeciesMigration", function () {
+    var species = new Species('migratedSpecies', [
+        {key: 'coatColor', fieldLabel: 'Coat color', valType: 'String'},
+        {key: 'weight', fieldLabel: 'Weight', valType: 'Float'}
+    ]);
+
+    describe("validate()", function () {
+
+        it("requires an array of operations", function () {
+            expect(SpeciesMigration.validate({op: 'drop', key: 'size'})).to.have.lengthOf(1);
+            expect(SpeciesMigration.validate([])).to.have.lengthOf(1);
+        });
+
+        it("checks the fields of each operation", function () {
+            var errors = SpeciesMigration.validate([
+                {op: 'rename', key: 'color'},
+                {op: 'retype', key: 'size'},
+                {op: 'mapOptions', key: 'size', map: ['XL']},
+                {op: 'shrink', key: 'size'}
+            ], species);
+
+            expect(_.map(errors, 'index')).to.eql([0, 1, 2, 3]);
+            expect(errors[0].message).to.eql('`to` is required');
+        });
+
+        it("uses the valType of the species prop when none is given", function () {
+            expect(SpeciesMigration.validate([{op: 'retype', key: 'weight'}], species)).to.be.empty;
+        });
+    });
+
+    describe("migrateProps()", function () {
+        var props = [
+            {key: 'color', val: 'Black', valType: 'String'},
+            {key: 'weight', val: '12.5', valType: 'String'},
+            {key: 'size', val: 'xl', valType: 'String'},
+            {key: 'microchip', val: 'yes', valType: 'String'}
+        ];
+
+        it("renames, converts, remaps and drops props", function () {
+            var migration = SpeciesMigration.migrateProps(props, [
+                {op: 'rename', key: 'color', to: 'coatColor'},
+                {op: 'retype', key: 'weight'},
+                {op: 'mapOptions', key: 'size', map: {XL: 'Large'}},
+                {op: 'drop', key: 'microchip'}
+            ], species);
+
+            expect(migration.isChanged).to.be.true;
+            expect(migration.failures).to.be.empty;
+            expect(_.find(migration.props, {key: 'coatColor'})).to.include({val: 'Black', fieldLabel: 'Coat color'});
+            expect(_.find(migration.props, {key: 'weight'})).to.include({val: 12.5, valType: 'Float'});
+            expect(_.find(migration.props, {key: 'size'}).val).to.eql('Large');
+            expect(_.map(migration.props, 'key')).to.not.include('microchip');
+            expect(props[0].key).to.eql('color');
+        });
+
+        it("leaves the values that fail to convert unchanged", function () {
+            var migration = SpeciesMigration.migrateProps([{key: 'weight', val: 'heavy', valType: 'String'}], [
+                {op: 'retype', key: 'weight', valType: 'Number'}
+            ]);
+
+            expect(migration.failures).to.eql([{key: 'weight', val: 'heavy', message: 'value must be a Number'}]);
+            expect(migration.props[0].val).to.eql('heavy');
+        });
+
+        it("does not rename over a saved value", function () {
+            var migration = SpeciesMigration.migrateProps([
+                {key: 'color', val: 'Black'},
+                {key: 'coatColor', val: 'Brown'}
+            ], [{op: 'rename', key: 'color', to: 'coatColor'}]);
+
+            expect(migration.isChanged).to.be.false;
+            expect(migration.failures).to.have.lengthOf(1);
+        });
+
+        it("does not change animals without the prop", function () {
+            expect(SpeciesMigration.migrateProps([{key: 'petName', val: 'Max'}], [{op: 'drop', key: 'color'}]).isChanged).to.be.false;
+        });
+    });
+});
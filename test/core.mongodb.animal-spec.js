@@ -100,6 +100,113 @@ describe("AnimalDatabase", function () {
         });
     });
 
+    describe("findAnimals() with a near query", function () {
+        var tGeoAnimalProps = [
+            {petName: 'geo-far', shelterGeoLat: 28.7383, shelterGeoLon: -81.3792},
+            {petName: 'geo-near', shelterGeoLat: 28.5483, shelterGeoLon: -81.3792},
+            {petName: 'geo-outside', shelterGeoLat: 30.3322, shelterGeoLon: -81.6557}
+        ];
+
+        before(function () {
+            return Promise.all(tGeoAnimalProps.map(function (animalProps) {
+                return animalDb.saveAnimal(new Animal(tSpecies, animalProps), {isV1Format: false});
+            }));
+        });
+
+        it("returns animals within the radius sorted nearest-first", function () {
+            var tQuery = {
+                petName: 'geo-',
+                matchStartFor: ['petName'],
+                near: {location: 'shelterGeo', lat: 28.5383, lon: -81.3792, radius: 50}
+            };
+
+            return animalDb.findAnimals(tQuery, {isV1Format: false, species: tSpecies})
+                .then(function (animals) {
+                    expect(_.map(animals, 'petName')).to.eql(['geo-near', 'geo-far']);
+                    expect(animals[0].distance).to.be.below(animals[1].distance);
+
+                    return Promise.resolve();
+                });
+        });
+
+        it("does not save the distance of a fetched animal", function () {
+            var tQuery = {
+                petName: 'geo-near',
+                near: {location: 'shelterGeo', lat: 28.5383, lon: -81.3792, radius: 50}
+            };
+
+            return animalDb.findAnimals(tQuery, {isV1Format: false, species: tSpecies})
+                .then(function (animals) {
+                    return animalDb.saveAnimal(new Animal(tSpecies, animals[0]), {isV1Format: false});
+                })
+                .then(function () {
+                    return animalDb.findAnimals({petName: 'geo-near'}, {isV1Format: false, species: tSpecies});
+                })
+                .then(function (animals) {
+                    expect(animals[0]).to.not.have.property('distance');
+
+                    return Promise.resolve();
+                });
+        });
+    });
+
+    describe("findAnimals() with a q query", function () {
+
+        before(function () {
+            return Promise.all([
+                {petName: 'text-search-b', description: 'a calm senior', primaryBreed: 'Beagle'},
+                {petName: 'text-search-a', description: 'a calm senior lab', primaryBreed: 'Labrador'}
+            ].map(function (animalProps) {
+                return animalDb.saveAnimal(new Animal(tSpecies, animalProps), {isV1Format: false});
+            }));
+        });
+
+        it("returns matching animals sorted by relevance", function () {
+
+            return animalDb.findAnimals({q: 'calm senior labrador'}, {isV1Format: false, species: tSpecies})
+                .then(function (animals) {
+                    expect(animals).to.have.length.of.at.least(2);
+                    expect(animals[0].petName).to.eql('text-search-a');
+                    expect(animals[0].relevance).to.be.above(animals[1].relevance);
+
+                    return Promise.resolve();
+                });
+        });
+    });
+
+    describe("findAnimals() with a sortBy query", function () {
+
+        before(function () {
+            return Promise.all([
+                {petName: 'sort-test', shelterId: 10, intakeDate: '2016-01-01'},
+                {petName: 'sort-test', shelterId: 9, intakeDate: new Date('2016-03-01')},
+                {petName: 'sort-test', shelterId: 100, intakeDate: '2016-02-01T00:00:00.000Z'}
+            ].map(function (animalProps) {
+                return animalDb.saveAnimal(new Animal(tSpecies, animalProps), {isV1Format: false});
+            }));
+        });
+
+        it("sorts numbers as numbers", function () {
+
+            return animalDb.findAnimals({petName: 'sort-test', sortBy: 'shelterId:asc'}, {isV1Format: false, species: tSpecies})
+                .then(function (animals) {
+                    expect(_.map(animals, 'shelterId')).to.eql([9, 10, 100]);
+
+                    return Promise.resolve();
+                });
+        });
+
+        it("sorts dates as dates", function () {
+
+            return animalDb.findAnimals({petName: 'sort-test', sortBy: ['intakeDate:desc']}, {isV1Format: false, species: tSpecies})
+                .then(function (animals) {
+                    expect(_.map(animals, 'shelterId')).to.eql([9, 100, 10]);
+
+                    return Promise.resolve();
+                });
+        });
+    });
+
     describe("find, edit, and save task sequence", function () {
         var tSavedAnimalProps;
 